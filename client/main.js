@@ -24,7 +24,203 @@ var STORAGE_KEYS = {
     FOLDER_DEPTH: 'exportButton_folderDepth',
     FIXED_FOLDER: 'exportButton_fixedFolder',
     PREMIERE_DIRECT: 'exportButton_premiereDirect',
-    HIDE_DEBUG_LOG: 'exportButton_hideDebugLog'
+    HIDE_DEBUG_LOG: 'exportButton_hideDebugLog',
+    PROFILES: 'exportButton_profiles',
+    ACTIVE_PROFILE: 'exportButton_activeProfile',
+    VERSION_COUNTERS: 'exportButton_versionCounters',
+    BIN_EXPORT: 'exportButton_binExport',
+    DETACHED_PROJECTS: 'exportButton_detachedProjects',
+    SCHEMA_VERSION: 'exportButton_schemaVersion',
+    PRESET_FAVORITES: 'exportButton_presetFavorites'
+};
+
+// Host answers about the project base, export root and Downloads folders, kept while a batch is planned (null otherwise)
+var projectBaseCache = null;
+
+// Values used for new profiles and for the Default profile created from legacy settings
+var DEFAULT_PROFILE = {
+    name: 'Default',
+    videoPreset: '',
+    audioPreset: '',
+    suffixPattern: '{SEQ}_V{V}',
+    utcTime: false,
+    versionScope: 'folder',
+    collisionPolicy: 'increment',
+    exportFolder: 'EXPORTS',
+    folderDepth: 0,
+    folderMode: 'depth',
+    markerNames: 'EXPORTS, .exportroot',
+    markerLevels: 5,
+    markerFallback: 'depth',
+    fixedFolder: '',
+    inoutExport: false,
+    premiereDirect: false,
+    queueOnly: false,
+    useDeliverables: false,
+    deliverables: []
+};
+
+// Project settings file saved next to the .prproj and layered over the profile
+var PROJECT_SETTINGS_FILE = '.exportbutton.json';
+var PROJECT_SETTINGS_VERSION = 1;
+
+// Profile fields a project settings file can set: presets, naming, versioning and folder rules.
+// Machine choices such as the fixed folder or the export mode stay in the profile.
+var PROJECT_SETTING_FIELDS = ['videoPreset', 'audioPreset', 'useDeliverables', 'deliverables', 'suffixPattern', 'utcTime',
+    'versionScope', 'collisionPolicy', 'inoutExport', 'exportFolder', 'folderMode', 'folderDepth', 'markerNames',
+    'markerLevels', 'markerFallback'];
+
+// Version of the settings.json layout, raised by every entry of SETTINGS_MIGRATIONS
+var SETTINGS_SCHEMA_VERSION = 3;
+
+/**
+ * Steps that bring an older settings.json up to SETTINGS_SCHEMA_VERSION, in order.
+ * A file without a schema version is version 1; version 0 means there was no file yet.
+ */
+var SETTINGS_MIGRATIONS = [
+    {
+        // Settings used to be kept in localStorage
+        version: 1,
+        migrate: function (settings) {
+            Object.keys(STORAGE_KEYS).forEach(function (name) {
+                var value = localStorage.getItem(STORAGE_KEYS[name]);
+                if (value !== null && settings[STORAGE_KEYS[name]] === undefined) {
+                    settings[STORAGE_KEYS[name]] = value;
+                }
+            });
+        }
+    },
+    {
+        // Older versions stored one global preset pair: move it into a "Default" profile
+        version: 2,
+        migrate: function (settings) {
+            var profiles = settings[STORAGE_KEYS.PROFILES];
+            if (Array.isArray(profiles) && profiles.length > 0) {
+                return;
+            }
+
+            var defaultProfile = createProfile('Default', {
+                videoPreset: settings[STORAGE_KEYS.VIDEO_PRESET] || DEFAULT_PROFILE.videoPreset,
+                audioPreset: settings[STORAGE_KEYS.AUDIO_PRESET] || DEFAULT_PROFILE.audioPreset,
+                suffixPattern: settings[STORAGE_KEYS.SUFFIX_PATTERN] || DEFAULT_PROFILE.suffixPattern,
+                exportFolder: settings[STORAGE_KEYS.EXPORT_FOLDER] || DEFAULT_PROFILE.exportFolder,
+                folderDepth: parseInt(settings[STORAGE_KEYS.FOLDER_DEPTH] || '0', 10) || 0,
+                fixedFolder: settings[STORAGE_KEYS.FIXED_FOLDER] || DEFAULT_PROFILE.fixedFolder,
+                inoutExport: String(settings[STORAGE_KEYS.INOUT_EXPORT]) === 'true',
+                premiereDirect: String(settings[STORAGE_KEYS.PREMIERE_DIRECT]) === 'true'
+            });
+            settings[STORAGE_KEYS.PROFILES] = [defaultProfile];
+            settings[STORAGE_KEYS.ACTIVE_PROFILE] = defaultProfile.id;
+        }
+    },
+    {
+        // Values were coerced to strings: store real booleans and drop the single preset keys
+        version: 3,
+        migrate: function (settings) {
+            [STORAGE_KEYS.DOWNLOAD_ENABLED, STORAGE_KEYS.HIDE_DEBUG_LOG].forEach(function (key) {
+                if (typeof settings[key] === 'string') {
+                    settings[key] = settings[key] === 'true';
+                }
+            });
+            ['VIDEO_PRESET', 'AUDIO_PRESET', 'SUFFIX_PATTERN', 'INOUT_EXPORT', 'EXPORT_FOLDER', 'FOLDER_DEPTH',
+                'FIXED_FOLDER', 'PREMIERE_DIRECT'].forEach(function (name) {
+                delete settings[STORAGE_KEYS[name]];
+            });
+        }
+    }
+];
+
+/**
+ * Value types used by the settings schema
+ * Checks run when settings are loaded, so lists defined further down are available.
+ */
+var SETTING_TYPES = {
+    string: {
+        label: 'text',
+        check: function (value) { return typeof value === 'string'; }
+    },
+    boolean: {
+        label: 'true or false',
+        check: function (value) { return typeof value === 'boolean'; }
+    },
+    count: {
+        label: 'a whole number of 0 or more',
+        check: function (value) { return typeof value === 'number' && value >= 0 && Math.floor(value) === value; }
+    },
+    object: {
+        label: 'an object',
+        check: function (value) { return !!value && typeof value === 'object' && !Array.isArray(value); }
+    },
+    stringList: {
+        label: 'a list of text',
+        check: function (value) {
+            return Array.isArray(value) && value.every(function (item) { return typeof item === 'string'; });
+        }
+    },
+    profiles: {
+        label: 'a list of profiles',
+        check: function (value) { return Array.isArray(value); }
+    },
+    deliverables: {
+        label: 'a list of {presetPath, subfolder}',
+        check: function (value) {
+            return Array.isArray(value) && value.every(function (item) {
+                return !!item && typeof item.presetPath === 'string' && (item.subfolder === undefined || typeof item.subfolder === 'string');
+            });
+        }
+    },
+    versionScope: {
+        label: 'folder, counter, daily or profile',
+        check: function (value) { return VERSION_SCOPES.indexOf(value) !== -1; }
+    },
+    collisionPolicy: {
+        label: 'increment, overwrite, skip or prompt',
+        check: function (value) { return COLLISION_POLICIES.indexOf(value) !== -1; }
+    },
+    folderMode: {
+        label: 'depth or marker',
+        check: function (value) { return value === 'depth' || value === 'marker'; }
+    },
+    markerFallback: {
+        label: 'depth, project, fixed or error',
+        check: function (value) { return ['depth', 'project', 'fixed', 'error'].indexOf(value) !== -1; }
+    }
+};
+
+// Type of each stored setting, by STORAGE_KEYS name
+var SETTINGS_SCHEMA = {
+    DOWNLOAD_ENABLED: 'boolean',
+    HIDE_DEBUG_LOG: 'boolean',
+    PROFILES: 'profiles',
+    ACTIVE_PROFILE: 'string',
+    VERSION_COUNTERS: 'object',
+    BIN_EXPORT: 'object',
+    DETACHED_PROJECTS: 'stringList',
+    PRESET_FAVORITES: 'stringList'
+};
+
+// Type of each profile field, also used for project settings files
+var PROFILE_SCHEMA = {
+    id: 'string',
+    name: 'string',
+    videoPreset: 'string',
+    audioPreset: 'string',
+    suffixPattern: 'string',
+    utcTime: 'boolean',
+    versionScope: 'versionScope',
+    collisionPolicy: 'collisionPolicy',
+    exportFolder: 'string',
+    folderDepth: 'count',
+    folderMode: 'folderMode',
+    markerNames: 'string',
+    markerLevels: 'count',
+    markerFallback: 'markerFallback',
+    fixedFolder: 'string',
+    inoutExport: 'boolean',
+    premiereDirect: 'boolean',
+    queueOnly: 'boolean',
+    useDeliverables: 'boolean',
+    deliverables: 'deliverables'
 };
 
 // --- PERSISTENCE MODULE ---
@@ -41,6 +237,33 @@ var SPELLBOOK_PLUGIN_NAME = 'Export Button';
 var SPELLBOOK_PLUGIN_ID = 'com.cyrilg93.exportbutton.panel';
 var SPELLBOOK_GROUP_NAME = 'Export Button';
 var spellbookInstance = null;
+var EXPORT_JOB_EVENT = 'com.cyrilg93.exportbutton.jobEvent';
+
+// AME jobs queued from this panel, updated from host.jsx encoder events
+var exportJobs = [];
+var directExportCount = 0;
+
+// Premiere Direct queue in progress ({cancelRequested}), null when idle
+var directExportQueue = null;
+
+// Premiere label colours, in label index order
+var SEQUENCE_LABEL_COLORS = ['Violet', 'Iris', 'Caribbean', 'Lavender', 'Cerulean', 'Forest', 'Rose', 'Mango', 'Purple', 'Blue', 'Teal', 'Magenta', 'Tan', 'Green', 'Brown', 'Yellow'];
+
+// Last finished batch, shown in the batch report modal
+var lastBatchReport = null;
+
+// Sequences of the bin shown in the bin export modal
+var binExportSequences = [];
+var binExportRequest = 0;
+
+// Sequence whose overrides are being edited {id, name}
+var sequenceOverridesTarget = null;
+
+// Input filled by the preset browser
+var presetBrowserTarget = null;
+
+// Problems found by the last preset health check {field, message}
+var presetHealthProblems = [];
 
 function clampThemeChannel(value) {
     // Keep CEP RGB channels inside the valid CSS color range.
@@ -190,9 +413,47 @@ function bindPremiereThemeListener() {
     });
 }
 
+// Delay before reloading settings.json after a change, so a burst of file events loads it once
+var SETTINGS_WATCH_DELAY = 200;
+
+/**
+ * Write a file through a temporary file and a rename
+ * A crash while writing leaves the temporary file behind, never a truncated target.
+ * @param {string} filePath - File to replace
+ * @param {string} text - New content
+ */
+function writeFileAtomic(filePath, text) {
+    var tempPath = filePath + '.' + process.pid + '.tmp';
+    try {
+        fs.writeFileSync(tempPath, text);
+        fs.renameSync(tempPath, filePath);
+    } catch (e) {
+        try {
+            fs.unlinkSync(tempPath);
+        } catch (ignore) {
+            // Nothing was written
+        }
+        throw e;
+    }
+}
+
 var Persistence = {
     settings: {},
+    // Messages about settings that were reset or could not be read, shown in the panel
+    problems: [],
+    // Where problems comes from: reading and migrating the file, and the last validation
+    loadProblems: [],
+    validationProblems: [],
+    // Keys set since the last write, and how many transactions are open
+    changedKeys: {},
+    transactionDepth: 0,
+    // Content of settings.json as last read or written by this panel
+    fileText: null,
+    watcher: null,
     filePath: null,
+    dataDir: null,
+    // Settings file of the open project {projectPath, filePath, settings, detached, error, problems}
+    project: null,
 
     init: function () {
         var platform = os.platform();
@@ -207,48 +468,278 @@ var Persistence = {
             fs.mkdirSync(dataDir, { recursive: true });
         }
 
+        this.dataDir = dataDir;
         this.filePath = path.join(dataDir, 'settings.json');
         this.load();
     },
 
     load: function () {
+        var settings = {};
+        var fromVersion = 0;
+        var canRewrite = true;
+        this.loadProblems = [];
+
         if (fs.existsSync(this.filePath)) {
             try {
-                this.settings = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+                this.fileText = fs.readFileSync(this.filePath, 'utf8');
+                settings = JSON.parse(this.fileText);
+                if (!SETTING_TYPES.object.check(settings)) {
+                    throw new Error('the file does not hold a settings object');
+                }
+                fromVersion = settings[STORAGE_KEYS.SCHEMA_VERSION] === undefined ? 1 : settings[STORAGE_KEYS.SCHEMA_VERSION];
+                if (!SETTING_TYPES.count.check(fromVersion)) {
+                    this.loadProblems.push('Schema version "' + fromVersion + '" is not a number, the file is migrated as version 1');
+                    fromVersion = 1;
+                }
                 console.log('Settings loaded from file');
             } catch (e) {
-                console.error('Error loading settings:', e);
+                // Keep the broken file aside and start again from the defaults, not from stale localStorage values
+                var corruptPath = this.backup('corrupt-' + Date.now());
+                this.loadProblems.push('settings.json could not be read (' + e.message + '), default settings are used' +
+                    (corruptPath ? '. The file was copied to ' + path.basename(corruptPath) : ''));
+                settings = {};
+                fromVersion = 1;
             }
-        } else {
-            // Migration logic: load from localStorage
-            this.migrateFromLocalStorage();
+
+            if (fromVersion > SETTINGS_SCHEMA_VERSION) {
+                this.loadProblems.push('settings.json was written by a newer version of Export Button (schema ' + fromVersion + '), some settings may be ignored');
+            }
+        }
+
+        var pending = SETTINGS_MIGRATIONS.filter(function (migration) {
+            return migration.version > fromVersion;
+        });
+
+        if (pending.length > 0) {
+            // Never rewrite a readable file without a copy of what it held
+            if (fromVersion > 0 && Object.keys(settings).length > 0) {
+                canRewrite = !!this.backup('v' + fromVersion + '.backup');
+                if (!canRewrite) {
+                    this.loadProblems.push('settings.json could not be backed up, the migrated settings are not written yet');
+                }
+            }
+
+            pending.forEach(function (migration) {
+                console.log('Migrating settings to schema version ' + migration.version);
+                migration.migrate(settings);
+            });
+            settings[STORAGE_KEYS.SCHEMA_VERSION] = SETTINGS_SCHEMA_VERSION;
+        }
+
+        this.settings = settings;
+        var invalid = this.validate();
+
+        // Values reset by the validation are only written once the file holding them is copied
+        if (invalid.length > 0 && pending.length === 0 && fromVersion > 0) {
+            canRewrite = !!this.backup('invalid-' + Date.now());
+            if (!canRewrite) {
+                this.loadProblems.push('settings.json could not be backed up, the reset values are not written yet');
+            }
+        }
+
+        this.validationProblems = invalid;
+        this.problems = this.loadProblems.concat(invalid);
+
+        if ((pending.length > 0 || invalid.length > 0) && canRewrite) {
+            this.writeFile(settings);
         }
     },
 
-    migrateFromLocalStorage: function () {
-        console.log('Migrating from localStorage...');
-        var keys = Object.values(STORAGE_KEYS);
-        var hasData = false;
+    /**
+     * Copy settings.json next to itself before it is rewritten or replaced
+     * @param {string} label - Part of the copy name, e.g. "v1.backup"
+     * @returns {string|null} Path of the copy, null when it could not be written
+     */
+    backup: function (label) {
+        var backupPath = path.join(this.dataDir, 'settings.' + label + '.json');
+        try {
+            fs.copyFileSync(this.filePath, backupPath);
+            console.log('Settings backed up to ' + backupPath);
+            return backupPath;
+        } catch (e) {
+            console.error('Error backing up settings:', e);
+            return null;
+        }
+    },
 
-        keys.forEach(function (key) {
-            var val = localStorage.getItem(key);
-            if (val !== null) {
-                this.settings[key] = val;
-                hasData = true;
+    /**
+     * Check the loaded settings against SETTINGS_SCHEMA; invalid values fall back to their defaults
+     * @returns {Array<string>} One message per value that was reset
+     */
+    validate: function () {
+        var settings = this.settings;
+        var problems = [];
+
+        Object.keys(SETTINGS_SCHEMA).forEach(function (name) {
+            var key = STORAGE_KEYS[name];
+            var type = SETTING_TYPES[SETTINGS_SCHEMA[name]];
+            if (settings[key] !== undefined && settings[key] !== null && !type.check(settings[key])) {
+                problems.push(key + ' should be ' + type.label + ', it was reset');
+                delete settings[key];
             }
-        }.bind(this));
+        });
 
-        if (hasData) {
-            this.save();
+        var profiles = (settings[STORAGE_KEYS.PROFILES] || []).filter(function (profile, index) {
+            if (!SETTING_TYPES.object.check(profile)) {
+                problems.push('Profile ' + (index + 1) + ' is not a profile object, it was removed');
+                return false;
+            }
+            return true;
+        }).map(function (profile) {
+            var where = 'Profile "' + (typeof profile.name === 'string' ? profile.name : profile.id) + '"';
+            problems = problems.concat(validateProfileFields(profile, where));
+            // Fields added by later versions start from their defaults
+            var complete = createProfile(profile.name, profile);
+            if (profile.id) {
+                complete.id = profile.id;
+            }
+            return complete;
+        });
+
+        // Every install keeps at least one profile to export with
+        if (profiles.length === 0) {
+            profiles = [createProfile(DEFAULT_PROFILE.name)];
+            settings[STORAGE_KEYS.ACTIVE_PROFILE] = profiles[0].id;
         }
+        settings[STORAGE_KEYS.PROFILES] = profiles;
+
+        return problems;
     },
 
+    /**
+     * Write the keys changed since the last write, unless a transaction is still open
+     * Keys are merged into the file on disk, so changes saved meanwhile by another panel are kept.
+     */
     save: function () {
+        var keys = Object.keys(this.changedKeys);
+        if (this.transactionDepth > 0 || keys.length === 0) {
+            return;
+        }
+
+        var settings = this.settings;
+        var onDisk = this.readFile();
+        if (onDisk) {
+            keys.forEach(function (key) {
+                if (settings[key] === undefined) {
+                    delete onDisk[key];
+                } else {
+                    onDisk[key] = settings[key];
+                }
+            });
+            settings = onDisk;
+        }
+
+        if (this.writeFile(settings)) {
+            this.settings = settings;
+            this.changedKeys = {};
+        }
+    },
+
+    /**
+     * Group several set() calls into a single write
+     * @param {Function} work - Calls set(), setObject() or saveProfiles()
+     */
+    transaction: function (work) {
+        this.transactionDepth++;
+        try {
+            work();
+        } finally {
+            this.transactionDepth--;
+            this.save();
+        }
+    },
+
+    /**
+     * Read settings.json as it is on disk
+     * @returns {object|null} Parsed settings, null when missing or unreadable
+     */
+    readFile: function () {
+        try {
+            var settings = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            return SETTING_TYPES.object.check(settings) ? settings : null;
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+     * Replace settings.json without ever leaving a half-written file
+     * @param {object} settings - Complete settings to write
+     * @returns {boolean} True when the file was written
+     */
+    writeFile: function (settings) {
+        var text = JSON.stringify(settings, null, 2);
         try {
-            fs.writeFileSync(this.filePath, JSON.stringify(this.settings, null, 2));
+            writeFileAtomic(this.filePath, text);
+            this.fileText = text;
+            return true;
         } catch (e) {
             console.error('Error saving settings:', e);
+            return false;
+        }
+    },
+
+    /**
+     * Reload settings.json when another panel instance changes it
+     * @param {Function} onChange - Called after settings changed elsewhere were loaded
+     */
+    watch: function (onChange) {
+        var self = this;
+        var fileName = path.basename(this.filePath);
+        var timer = null;
+
+        try {
+            // Watch the folder: the file is replaced on every write, which ends a watch on the file itself
+            this.watcher = fs.watch(this.dataDir, function (eventType, changedName) {
+                if (changedName && changedName !== fileName) return;
+                clearTimeout(timer);
+                timer = setTimeout(function () {
+                    if (self.reload()) {
+                        onChange();
+                    }
+                }, SETTINGS_WATCH_DELAY);
+            });
+        } catch (e) {
+            console.error('Error watching settings:', e);
+        }
+    },
+
+    /**
+     * Load settings.json again if it differs from what this panel last read or wrote
+     * @returns {boolean} True when other settings were loaded
+     */
+    reload: function () {
+        var text;
+        try {
+            text = fs.readFileSync(this.filePath, 'utf8');
+        } catch (e) {
+            return false;
+        }
+        if (text === this.fileText) {
+            return false;
         }
+
+        var settings;
+        try {
+            settings = JSON.parse(text);
+        } catch (e) {
+            // A panel without atomic writes may still be writing: wait for its next change
+            return false;
+        }
+        if (!SETTING_TYPES.object.check(settings)) {
+            return false;
+        }
+
+        // Changes not written yet stay on top of the reloaded file
+        Object.keys(this.changedKeys).forEach(function (key) {
+            settings[key] = this.settings[key];
+        }, this);
+        this.fileText = text;
+        this.settings = settings;
+        // Values reset by an earlier validation are replaced, not listed twice
+        this.validationProblems = this.validate();
+        this.problems = this.loadProblems.concat(this.validationProblems);
+        return true;
     },
 
     get: function (key) {
@@ -257,108 +748,406 @@ var Persistence = {
     },
 
     set: function (key, value) {
-        // Enforce string storage to match localStorage behavior so logic remains compatible
-        this.settings[key] = String(value);
+        // Values keep their type, see SETTINGS_SCHEMA
+        this.settings[key] = value;
+        this.changedKeys[key] = true;
         this.save();
-    }
-};
+    },
 
-// Default preset paths (will be updated based on OS)
-var defaultPresets = {
-    video: '',
-    audio: ''
-};
+    getObject: function (key) {
+        var val = this.settings[key];
+        return (val === undefined || val === null) ? null : val;
+    },
 
-/**
- * Initialize the extension
- */
-function init() {
-    // Apply Premiere theme tokens before sizing and controls are initialized.
-    applyPremierePanelTheme();
-    bindPremiereThemeListener();
+    setObject: function (key, value) {
+        // Structured values such as profiles are stored as JSON
+        this.settings[key] = value;
+        this.changedKeys[key] = true;
+        this.save();
+    },
 
-    // Initialize persistence
-    Persistence.init();
+    getProfiles: function () {
+        var profiles = this.getObject(STORAGE_KEYS.PROFILES);
+        return Array.isArray(profiles) ? profiles : [];
+    },
 
-    // Load saved settings
-    loadSettings();
+    saveProfiles: function (profiles, activeProfileId) {
+        this.transaction(function () {
+            this.setObject(STORAGE_KEYS.PROFILES, profiles);
+            this.set(STORAGE_KEYS.ACTIVE_PROFILE, activeProfileId);
+        }.bind(this));
+    },
 
-    // Apply the saved debug log preference before layout rules kick in.
-    syncDebugPanelVisibility();
+    getActiveProfile: function () {
+        var profiles = this.getProfiles();
+        var activeId = this.get(STORAGE_KEYS.ACTIVE_PROFILE);
+        // Fall back to the first profile, or the built-in defaults before migration ran
+        var profile = profiles[0] || createProfile(DEFAULT_PROFILE.name);
 
-    // Check Host Locale
-    csInterface.evalScript('$.locale', function (result) {
-        if (result) hostLocale = result;
-        // Check for updates AFTER getting locale
-        checkForUpdates();
-    });
+        for (var i = 0; i < profiles.length; i++) {
+            if (profiles[i].id === activeId) {
+                profile = profiles[i];
+                break;
+            }
+        }
 
-    // Set Version Badge
-    const badge = document.getElementById('version-badge');
-    if (badge) badge.innerText = 'v' + CURRENT_VERSION;
+        // Values of the project settings file win over the profile
+        return layerProjectSettings(profile, this.getProjectSettings());
+    },
 
-    // Setup event listeners
-    setupEventListeners();
+    loadProject: function (projectPath) {
+        var project = { projectPath: projectPath || '', filePath: '', settings: null, detached: false, error: '', problems: [] };
 
-    // Register external shortcut commands after the UI handlers exist.
-    initializeSpellbook();
+        // Unsaved projects have no folder to look in
+        if (projectPath) {
+            project.filePath = path.join(path.dirname(projectPath), PROJECT_SETTINGS_FILE);
+            project.detached = (this.getObject(STORAGE_KEYS.DETACHED_PROJECTS) || []).indexOf(projectPath) !== -1;
+        }
 
-    // Keep the panel usable even when Premiere resizes it aggressively.
-    setupResponsivePanelLayout();
+        if (project.filePath && !project.detached && fs.existsSync(project.filePath)) {
+            try {
+                var data = JSON.parse(fs.readFileSync(project.filePath, 'utf8'));
+                var settings = {};
+                PROJECT_SETTING_FIELDS.forEach(function (field) {
+                    if (data.settings && data.settings[field] !== undefined) {
+                        settings[field] = data.settings[field];
+                    }
+                });
+                // Invalid values are left out so the profile value applies instead
+                project.problems = validateProfileFields(settings, PROJECT_SETTINGS_FILE, true);
+                project.settings = settings;
+            } catch (e) {
+                project.error = e.message;
+                console.error('Error loading project settings:', e);
+            }
+        }
 
-    // Set initial status
-    // Set initial status
-    // setStatus('Ready'); // Removed as requested
+        this.project = project;
+        return project;
+    },
 
-    // Log init
-    debugLog('Extension initialized', 'info');
+    getProjectSettings: function () {
+        return this.project ? this.project.settings : null;
+    },
 
-    // Wait a bit for Premiere to be ready, then test ExtendScript
-    debugLog('Waiting 2s for Premiere Pro...', 'info');
-    setTimeout(function () {
-        // Test basic ExtendScript first
-        testBasicExtendScript();
-    }, 2000);
-}
+    saveProject: function (settings) {
+        if (!this.project || !this.project.filePath) {
+            return { success: false, error: 'Save the project first' };
+        }
+
+        try {
+            writeFileAtomic(this.project.filePath, JSON.stringify({ version: PROJECT_SETTINGS_VERSION, settings: settings }, null, 2));
+        } catch (e) {
+            console.error('Error saving project settings:', e);
+            return { success: false, error: e.message };
+        }
+
+        // Saving to the project attaches this computer to it again
+        this.setProjectDetached(false);
+        return { success: true, path: this.project.filePath };
+    },
+
+    setProjectDetached: function (detached) {
+        var projectPath = this.project ? this.project.projectPath : '';
+        if (!projectPath) return;
+
+        var detachedProjects = (this.getObject(STORAGE_KEYS.DETACHED_PROJECTS) || []).filter(function (item) {
+            return item !== projectPath;
+        });
+        if (detached) {
+            detachedProjects.push(projectPath);
+        }
+        this.setObject(STORAGE_KEYS.DETACHED_PROJECTS, detachedProjects);
+        this.loadProject(projectPath);
+    }
+};
 
 /**
- * Test the most basic ExtendScript operations
+ * Layer the values of a project settings file over a profile
+ * @param {object} profile - Export profile
+ * @param {object|null} settings - Project settings, see PROJECT_SETTING_FIELDS
+ * @returns {object} Profile with the project values (the same object without project settings)
  */
-function testBasicExtendScript() {
-    debugLog('Testing basic ExtendScript...', 'info');
+function layerProjectSettings(profile, settings) {
+    if (!settings) {
+        return profile;
+    }
 
-    // Test 1: Simple math (should always work)
-    csInterface.evalScript('1+1', function (result) {
-        debugLog('Test 1+1 = ' + result, result === '2' ? 'success' : 'error');
+    var layered = JSON.parse(JSON.stringify(profile));
+    Object.keys(settings).forEach(function (field) {
+        layered[field] = JSON.parse(JSON.stringify(settings[field]));
+    });
+    return layered;
+}
 
-        if (result === '2') {
-            // ExtendScript works, now load host.jsx
-            loadJSX(function () {
-                getSystemInfo();
-                testExtendScript();
+/**
+ * Read the settings file of the project open in Premiere
+ * Called before exports and when the settings open, since another project may have been opened.
+ * @param {function} callback - Called once the project layer is loaded
+ */
+function syncProjectSettings(callback) {
+    csInterface.evalScript('ExportButton_getProjectPath()', function (result) {
+        var info;
+        try {
+            info = JSON.parse(result);
+        } catch (e) {
+            info = { success: false };
+        }
+
+        var previousFile = Persistence.project ? Persistence.project.filePath : '';
+        var project = Persistence.loadProject(info.success ? info.path : '');
+        if (project.error) {
+            debugLog('Project settings unreadable (' + project.filePath + '): ' + project.error, 'error');
+        } else if (project.settings && project.filePath !== previousFile) {
+            debugLog('Project settings: ' + project.filePath, 'info');
+            project.problems.forEach(function (problem) {
+                debugLog(problem, 'warning');
             });
-        } else {
-            debugLog('ExtendScript engine not responding!', 'error');
-            debugLog('Please check: Window > Extensions > Export Button is from Premiere Pro (not another app)', 'error');
         }
+        callback();
     });
 }
 
 /**
- * Load the ExtendScript (jsx) file
- * @param {function} callback - Called after script is loaded
+ * Create a profile with every field filled in
+ * @param {string} name - Display name of the profile
+ * @param {object=} source - Optional values copied into the new profile
+ * @returns {object} Profile with a fresh id
  */
-function loadJSX(callback) {
-    debugLog('Loading host.jsx...', 'info');
+function createProfile(name, source) {
+    var profile = { id: 'profile_' + Date.now().toString(36) + '_' + Math.random().toString(36).slice(2, 6) };
 
-    var extensionPath = csInterface.getSystemPath(SystemPath.EXTENSION);
-    var jsxPath = extensionPath + '/host/host.jsx';
+    Object.keys(DEFAULT_PROFILE).forEach(function (field) {
+        var value = (source && source[field] !== undefined) ? source[field] : DEFAULT_PROFILE[field];
+        // Copy nested values such as deliverables so profiles never share arrays
+        profile[field] = (value && typeof value === 'object') ? JSON.parse(JSON.stringify(value)) : value;
+    });
+    profile.name = name || DEFAULT_PROFILE.name;
 
-    debugLog('JSX path: ' + jsxPath, 'info');
+    return profile;
+}
 
-    // Use $.evalFile() to load the JSX file - this is the standard ExtendScript method
-    var evalScript = '$.evalFile("' + jsxPath.replace(/\\/g, '/') + '")';
-    debugLog('Running: ' + evalScript, 'info');
+/**
+ * Check profile or project settings values against PROFILE_SCHEMA
+ * Invalid values are replaced with the DEFAULT_PROFILE value, or removed when removeInvalid is set.
+ * @param {object} values - Profile or project settings, changed in place
+ * @param {string} where - Owner of the values, used in the messages
+ * @param {boolean=} removeInvalid - Remove invalid values instead of resetting them
+ * @returns {Array<string>} One message per invalid value
+ */
+function validateProfileFields(values, where, removeInvalid) {
+    var problems = [];
+
+    Object.keys(values).forEach(function (field) {
+        var type = SETTING_TYPES[PROFILE_SCHEMA[field]];
+        if (!type || type.check(values[field])) {
+            return;
+        }
+
+        if (removeInvalid || DEFAULT_PROFILE[field] === undefined) {
+            problems.push(where + ': ' + field + ' should be ' + type.label + ', it was ignored');
+            delete values[field];
+        } else {
+            problems.push(where + ': ' + field + ' should be ' + type.label + ', it was reset to the default');
+            values[field] = JSON.parse(JSON.stringify(DEFAULT_PROFILE[field]));
+        }
+    });
+
+    return problems;
+}
+
+/**
+ * Get the profile currently picked next to the export button
+ * @returns {object} Active export profile
+ */
+function getActiveProfile() {
+    return Persistence.getActiveProfile();
+}
+
+/**
+ * Append-only export history stored as JSON lines next to settings.json.
+ * Export lines are written when a job is queued; AME results are appended later
+ * as update lines with the same id and folded in when the history is read.
+ */
+var ExportHistory = {
+    filePath: null,
+
+    init: function (dataDir) {
+        this.filePath = path.join(dataDir, 'history.jsonl');
+    },
+
+    append: function (record) {
+        try {
+            fs.appendFileSync(this.filePath, JSON.stringify(record) + '\n');
+        } catch (e) {
+            console.error('Error writing export history:', e);
+        }
+    },
+
+    createId: function () {
+        return 'export_' + Date.now().toString(36) + '_' + Math.random().toString(36).slice(2, 6);
+    },
+
+    record: function (entry) {
+        entry.timestamp = new Date().toISOString();
+        this.append(entry);
+    },
+
+    updateResult: function (id, result, details) {
+        var update = { id: id, update: true, result: result, timestamp: new Date().toISOString() };
+        Object.keys(details || {}).forEach(function (key) {
+            update[key] = details[key];
+        });
+        this.append(update);
+    },
+
+    readAll: function () {
+        if (!this.filePath || !fs.existsSync(this.filePath)) {
+            return [];
+        }
+
+        var entries = [];
+        var entriesById = {};
+        var updates = [];
+
+        fs.readFileSync(this.filePath, 'utf8').split('\n').forEach(function (line) {
+            if (!line.trim()) return;
+
+            try {
+                var record = JSON.parse(line);
+                if (record.update) {
+                    updates.push(record);
+                } else {
+                    entries.push(record);
+                    entriesById[record.id] = record;
+                }
+            } catch (e) {
+                // A line cut short by a crash must not hide the rest of the history
+                console.warn('Skipping invalid history line:', line);
+            }
+        });
+
+        // Updates can be written before their entry when AME finishes very quickly
+        updates.forEach(function (update) {
+            var entry = entriesById[update.id];
+            if (!entry) return;
+
+            entry.result = update.result;
+            entry.finishedAt = update.timestamp;
+            if (update.outputPath) entry.outputPath = update.outputPath;
+            if (update.error) entry.error = update.error;
+        });
+
+        return entries.reverse();
+    }
+};
+
+// Media Encoder version whose presets are the defaults when none is installed
+var DEFAULT_AME_VERSION = '2025';
+
+// Default preset paths (set from the newest Media Encoder installed)
+var defaultPresets = {
+    video: '',
+    audio: ''
+};
+
+/**
+ * Initialize the extension
+ */
+function init() {
+    // Apply Premiere theme tokens before sizing and controls are initialized.
+    applyPremierePanelTheme();
+    bindPremiereThemeListener();
+
+    // Initialize persistence
+    Persistence.init();
+    ExportHistory.init(Persistence.dataDir);
+
+    // Load saved settings
+    loadSettings();
+
+    // Follow changes saved by other instances of the panel
+    Persistence.watch(handleExternalSettingsChange);
+
+    // Apply the saved debug log preference before layout rules kick in.
+    syncDebugPanelVisibility();
+
+    // Check Host Locale
+    csInterface.evalScript('$.locale', function (result) {
+        if (result) hostLocale = result;
+        // Check for updates AFTER getting locale
+        checkForUpdates();
+    });
+
+    // Set Version Badge
+    const badge = document.getElementById('version-badge');
+    if (badge) badge.innerText = 'v' + CURRENT_VERSION;
+
+    // Setup event listeners
+    setupEventListeners();
+
+    // Register external shortcut commands after the UI handlers exist.
+    initializeSpellbook();
+
+    // Keep the panel usable even when Premiere resizes it aggressively.
+    setupResponsivePanelLayout();
+
+    // Set initial status
+    // Set initial status
+    // setStatus('Ready'); // Removed as requested
+
+    // Log init
+    debugLog('Extension initialized', 'info');
+    reportSettingsProblems();
+
+    // Wait a bit for Premiere to be ready, then test ExtendScript
+    debugLog('Waiting 2s for Premiere Pro...', 'info');
+    setTimeout(function () {
+        // Test basic ExtendScript first
+        testBasicExtendScript();
+    }, 2000);
+}
+
+/**
+ * Test the most basic ExtendScript operations
+ */
+function testBasicExtendScript() {
+    debugLog('Testing basic ExtendScript...', 'info');
+
+    // Test 1: Simple math (should always work)
+    csInterface.evalScript('1+1', function (result) {
+        debugLog('Test 1+1 = ' + result, result === '2' ? 'success' : 'error');
+
+        if (result === '2') {
+            // ExtendScript works, now load host.jsx
+            loadJSX(function () {
+                loadDefaultPresets();
+                reportPresetHealth();
+                bindExportJobEvents();
+                testExtendScript();
+            });
+        } else {
+            debugLog('ExtendScript engine not responding!', 'error');
+            debugLog('Please check: Window > Extensions > Export Button is from Premiere Pro (not another app)', 'error');
+        }
+    });
+}
+
+/**
+ * Load the ExtendScript (jsx) file
+ * @param {function} callback - Called after script is loaded
+ */
+function loadJSX(callback) {
+    debugLog('Loading host.jsx...', 'info');
+
+    var extensionPath = csInterface.getSystemPath(SystemPath.EXTENSION);
+    var jsxPath = extensionPath + '/host/host.jsx';
+
+    debugLog('JSX path: ' + jsxPath, 'info');
+
+    // Use $.evalFile() to load the JSX file - this is the standard ExtendScript method
+    var evalScript = '$.evalFile("' + jsxPath.replace(/\\/g, '/') + '")';
+    debugLog('Running: ' + evalScript, 'info');
 
     csInterface.evalScript(evalScript, function (evalResult) {
         var isSuccess = evalResult && evalResult !== 'undefined';
@@ -389,7 +1178,7 @@ function debugLog(message, type) {
 }
 
 /**
- * Build the four export combinations exposed to SpellBook.
+ * Build the commands exposed to SpellBook: the four export combinations and Start AME Queue.
  * @returns {Array} Command descriptors consumed by SpellBook
  */
 function getSpellbookCommands() {
@@ -425,6 +1214,14 @@ function getSpellbookCommands() {
             action: function () {
                 runSpellbookExportCommand('premiere-audio-only');
             }
+        },
+        {
+            commandID: 'premiereExportButton.ame.startQueue',
+            name: 'Start AME Queue',
+            group: SPELLBOOK_GROUP_NAME,
+            action: function () {
+                startAMEQueue();
+            }
         }
     ];
 }
@@ -616,7 +1413,7 @@ function initializeSpellbook() {
             spellbookInstance.register(commands);
         }
 
-        debugLog('SpellBook commands registered: Export AME Video+Audio, Export AME Audio Only, Export Premiere Video+Audio, Export Premiere Audio Only', 'info');
+        debugLog('SpellBook commands registered: Export AME Video+Audio, Export AME Audio Only, Export Premiere Video+Audio, Export Premiere Audio Only, Start AME Queue', 'info');
     } catch (e) {
         spellbookInstance = null;
         debugLog('SpellBook initialization failed: ' + e.message, 'warning');
@@ -719,858 +1516,4737 @@ function showUpdateBanner(downloadUrl) {
     }
 }
 
+// Working copy of the profiles while the settings modal is open
+var profileDraft = {
+    profiles: [],
+    selectedId: null,
+    // Project settings being edited, null when the project has none
+    project: null
+};
+
 /**
- * Load saved settings from localStorage
+ * Load saved settings into the panel and the settings modal
  */
 function loadSettings() {
-    var videoPreset = Persistence.get(STORAGE_KEYS.VIDEO_PRESET) || '';
-    var audioPreset = Persistence.get(STORAGE_KEYS.AUDIO_PRESET) || '';
-    var downloadEnabled = Persistence.get(STORAGE_KEYS.DOWNLOAD_ENABLED) === 'true';
-    var suffixPattern = Persistence.get(STORAGE_KEYS.SUFFIX_PATTERN) || '{SEQ}_V{V}';
-    var inoutExport = Persistence.get(STORAGE_KEYS.INOUT_EXPORT) === 'true';
-    var exportFolder = Persistence.get(STORAGE_KEYS.EXPORT_FOLDER) || 'EXPORTS';
-    var folderDepth = Persistence.get(STORAGE_KEYS.FOLDER_DEPTH) || '0';
-    var fixedFolder = Persistence.get(STORAGE_KEYS.FIXED_FOLDER) || '';
-    var premiereDirect = Persistence.get(STORAGE_KEYS.PREMIERE_DIRECT) === 'true';
-
-    // Hide Log Default: True (hidden) unless explicitly 'false'
-    var hideLogVal = Persistence.get(STORAGE_KEYS.HIDE_DEBUG_LOG);
-    var hideLog = (hideLogVal !== 'false');
-
-    document.getElementById('video-preset').value = videoPreset;
-    document.getElementById('audio-preset').value = audioPreset;
+    var downloadEnabled = Persistence.get(STORAGE_KEYS.DOWNLOAD_ENABLED) === true;
+
+    // Hide Log Default: True (hidden) unless explicitly false
+    var hideLog = (Persistence.get(STORAGE_KEYS.HIDE_DEBUG_LOG) !== false);
+
     document.getElementById('download-checkbox').checked = downloadEnabled;
-    document.getElementById('suffix-pattern').value = suffixPattern;
-    document.getElementById('inout-export').checked = inoutExport;
-    document.getElementById('export-folder').value = exportFolder;
-    document.getElementById('folder-depth').value = folderDepth;
-    document.getElementById('fixed-folder').value = fixedFolder;
-    document.getElementById('premiere-direct').checked = premiereDirect;
     document.getElementById('hide-log').checked = hideLog;
+
+    resetProfileDraft();
+    renderProfilePicker();
 }
 
 /**
- * Save settings to localStorage
+ * Show settings saved by another panel instance, e.g. the same panel in a second Premiere version
  */
-function saveSettings() {
-    var videoPreset = document.getElementById('video-preset').value;
-    var audioPreset = document.getElementById('audio-preset').value;
-    var suffixPattern = document.getElementById('suffix-pattern').value || '{SEQ}_V{V}';
-    var inoutExport = document.getElementById('inout-export').checked;
-    var exportFolder = document.getElementById('export-folder').value || 'EXPORTS';
-    var folderDepth = document.getElementById('folder-depth').value || '0';
-    var fixedFolder = document.getElementById('fixed-folder').value;
-    var premiereDirect = document.getElementById('premiere-direct').checked;
-    var hideLog = document.getElementById('hide-log').checked;
-
-    Persistence.set(STORAGE_KEYS.VIDEO_PRESET, videoPreset);
-    Persistence.set(STORAGE_KEYS.AUDIO_PRESET, audioPreset);
-    Persistence.set(STORAGE_KEYS.SUFFIX_PATTERN, suffixPattern);
-    Persistence.set(STORAGE_KEYS.INOUT_EXPORT, inoutExport);
-    Persistence.set(STORAGE_KEYS.EXPORT_FOLDER, exportFolder);
-    Persistence.set(STORAGE_KEYS.FOLDER_DEPTH, folderDepth);
-    Persistence.set(STORAGE_KEYS.FIXED_FOLDER, fixedFolder);
-    Persistence.set(STORAGE_KEYS.PREMIERE_DIRECT, premiereDirect);
-    Persistence.set(STORAGE_KEYS.HIDE_DEBUG_LOG, hideLog);
+function handleExternalSettingsChange() {
+    debugLog('Settings changed in another panel, reloaded', 'info');
 
-    // Re-apply the debug log preference without fighting the responsive layout CSS.
+    // Edits in an open settings modal are kept; the picker and options follow right away
+    if (document.getElementById('settings-modal').classList.contains('show')) {
+        document.getElementById('download-checkbox').checked = Persistence.get(STORAGE_KEYS.DOWNLOAD_ENABLED) === true;
+        renderProfilePicker();
+    } else {
+        loadSettings();
+    }
     syncDebugPanelVisibility();
-
-    setStatus('Settings saved', 'success');
-    closeSettingsModal();
 }
 
 /**
- * Setup all event listeners
+ * Log settings that were reset when settings.json was loaded
  */
-function setupEventListeners() {
-    // Export button
-    document.getElementById('export-btn').addEventListener('click', handleExport);
+function reportSettingsProblems() {
+    if (Persistence.problems.length === 0) {
+        return;
+    }
 
-    // Download checkbox
-    document.getElementById('download-checkbox').addEventListener('change', function () {
-        Persistence.set(STORAGE_KEYS.DOWNLOAD_ENABLED, this.checked);
+    Persistence.problems.forEach(function (problem) {
+        debugLog('Settings: ' + problem, 'error');
     });
+    setStatus(Persistence.problems.length + ' settings problem(s) found - see Settings', 'error');
+}
 
-    // Settings button
-    document.getElementById('settings-btn').addEventListener('click', openSettingsModal);
-
-    // Close modal button
-    document.getElementById('close-modal').addEventListener('click', closeSettingsModal);
+/**
+ * Show invalid settings, project values and preset problems at the top of the settings modal
+ */
+function renderSettingsProblems() {
+    var project = Persistence.project;
+    var problems = Persistence.problems.concat(project && project.settings ? project.problems : [], presetHealthProblems.map(function (problem) {
+        return problem.message;
+    }));
+    var problemsEl = document.getElementById('settings-problems');
+
+    problemsEl.textContent = problems.join('\n');
+    problemsEl.style.display = problems.length > 0 ? 'block' : 'none';
+}
 
-    // Save settings button
-    document.getElementById('save-settings').addEventListener('click', saveSettings);
+/**
+ * Copy the saved profiles into the modal draft and show the active one
+ */
+function resetProfileDraft() {
+    profileDraft.profiles = JSON.parse(JSON.stringify(Persistence.getProfiles()));
+    profileDraft.selectedId = getActiveProfile().id;
+    profileDraft.project = JSON.parse(JSON.stringify(Persistence.getProjectSettings()));
 
-    // Browse buttons
-    document.querySelectorAll('.browse-btn').forEach(function (btn) {
-        btn.addEventListener('click', function () {
-            var targetId = this.getAttribute('data-target');
-            browseForPreset(targetId);
-        });
-    });
+    renderProfileSelect();
+    fillProfileForm(getDraftProfile());
+}
 
-    // Close modal on outside click
-    document.getElementById('settings-modal').addEventListener('click', function (e) {
-        if (e.target === this) {
-            closeSettingsModal();
+/**
+ * Get the profile selected in the settings modal
+ * @returns {object} Draft profile being edited
+ */
+function getDraftProfile() {
+    for (var i = 0; i < profileDraft.profiles.length; i++) {
+        if (profileDraft.profiles[i].id === profileDraft.selectedId) {
+            return profileDraft.profiles[i];
         }
-    });
+    }
+    return profileDraft.profiles[0];
+}
 
-    // Keyboard shortcut for escape
-    document.addEventListener('keydown', function (e) {
-        if (e.key === 'Escape') {
-            closeSettingsModal();
-        }
-    });
+/**
+ * Get the profile selected in the settings modal with the project values on top
+ * @returns {object} Profile as the export would use it
+ */
+function getLayeredDraftProfile() {
+    return layerProjectSettings(getDraftProfile(), profileDraft.project);
+}
 
+/**
+ * Fill the profile dropdown of the settings modal
+ */
+function renderProfileSelect() {
+    fillProfileOptions(document.getElementById('profile-select'), profileDraft.profiles, profileDraft.selectedId);
+}
 
-    // Clear log button
-    document.getElementById('clear-log').addEventListener('click', function () {
-        document.getElementById('debug-log').innerHTML = '';
-        debugLog('Log cleared', 'info');
+/**
+ * Fill the profile dropdown next to the export button
+ */
+function renderProfilePicker() {
+    fillProfileOptions(document.getElementById('profile-picker'), Persistence.getProfiles(), getActiveProfile().id);
+}
+
+/**
+ * Replace the options of a profile dropdown
+ * @param {HTMLSelectElement} selectEl - Dropdown to fill
+ * @param {Array} profiles - Profiles to list
+ * @param {string} selectedId - Id of the profile to select
+ */
+function fillProfileOptions(selectEl, profiles, selectedId) {
+    if (!selectEl) return;
+
+    selectEl.innerHTML = '';
+    profiles.forEach(function (profile) {
+        var option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = profile.name;
+        selectEl.appendChild(option);
     });
+    selectEl.value = selectedId;
+}
 
-    // Copy log button - use execCommand as clipboard API doesn't work in CEP
-    document.getElementById('copy-log').addEventListener('click', function () {
-        var logEl = document.getElementById('debug-log');
-        var logText = logEl.innerText || logEl.textContent;
+/**
+ * Show a profile in the settings form, with the values of the project settings file on top
+ * @param {object} profile - Profile to display
+ */
+function fillProfileForm(profile) {
+    profile = layerProjectSettings(profile, profileDraft.project);
+    document.getElementById('profile-name').value = profile.name;
+    document.getElementById('video-preset').value = profile.videoPreset;
+    document.getElementById('audio-preset').value = profile.audioPreset;
+    document.getElementById('suffix-pattern').value = profile.suffixPattern;
+    document.getElementById('utc-time').checked = profile.utcTime === true;
+    document.getElementById('version-scope').value = VERSION_SCOPES.indexOf(profile.versionScope) !== -1 ? profile.versionScope : 'folder';
+    document.getElementById('collision-policy').value = COLLISION_POLICIES.indexOf(profile.collisionPolicy) !== -1 ? profile.collisionPolicy : 'increment';
+    document.getElementById('inout-export').checked = profile.inoutExport;
+    document.getElementById('export-folder').value = profile.exportFolder;
+    document.getElementById('folder-depth').value = profile.folderDepth;
+    document.getElementById('folder-mode').value = profile.folderMode === 'marker' ? 'marker' : 'depth';
+    document.getElementById('marker-names').value = profile.markerNames || DEFAULT_PROFILE.markerNames;
+    document.getElementById('marker-levels').value = profile.markerLevels !== undefined ? profile.markerLevels : DEFAULT_PROFILE.markerLevels;
+    document.getElementById('marker-fallback').value = profile.markerFallback || DEFAULT_PROFILE.markerFallback;
+    document.getElementById('fixed-folder').value = profile.fixedFolder;
+    document.getElementById('premiere-direct').checked = profile.premiereDirect;
+    document.getElementById('queue-only').checked = profile.queueOnly === true;
+    document.getElementById('use-deliverables').checked = profile.useDeliverables === true;
+    renderDeliverableRows(profile.deliverables || []);
+    markProjectSettingFields();
+    updateNamingPreview();
+}
 
-        // Create textarea, copy, and remove
-        var textarea = document.createElement('textarea');
-        textarea.value = logText;
-        textarea.style.position = 'fixed';
-        textarea.style.left = '-9999px';
-        document.body.appendChild(textarea);
-        textarea.select();
+/**
+ * Settings form inputs of the fields a project settings file can set
+ */
+var PROJECT_FIELD_INPUTS = {
+    videoPreset: 'video-preset',
+    audioPreset: 'audio-preset',
+    useDeliverables: 'use-deliverables',
+    deliverables: 'deliverable-list',
+    suffixPattern: 'suffix-pattern',
+    utcTime: 'utc-time',
+    versionScope: 'version-scope',
+    collisionPolicy: 'collision-policy',
+    inoutExport: 'inout-export',
+    exportFolder: 'export-folder',
+    folderMode: 'folder-mode',
+    folderDepth: 'folder-depth',
+    markerNames: 'marker-names',
+    markerLevels: 'marker-levels',
+    markerFallback: 'marker-fallback'
+};
 
-        try {
-            document.execCommand('copy');
-            debugLog('Log copied!', 'success');
-        } catch (err) {
-            debugLog('Copy failed: ' + err, 'error');
-        }
+/**
+ * Flag the settings that come from the project settings file
+ */
+function markProjectSettingFields() {
+    var settings = profileDraft.project || {};
 
-        document.body.removeChild(textarea);
+    PROJECT_SETTING_FIELDS.forEach(function (field) {
+        var group = document.getElementById(PROJECT_FIELD_INPUTS[field]).closest('.setting-group');
+        if (group) {
+            group.classList.toggle('from-project', settings[field] !== undefined);
+        }
     });
-
 }
 
 /**
- * Apply the saved debug log preference through a body class.
+ * Describe the project settings file in the settings modal and enable its actions
  */
-function syncDebugPanelVisibility() {
-    var hideLogVal = Persistence.get(STORAGE_KEYS.HIDE_DEBUG_LOG);
-    var shouldHide = (hideLogVal !== 'false');
+function renderProjectSettingsStatus() {
+    var project = Persistence.project || {};
+    var statusEl = document.getElementById('project-settings-status');
+    var detachBtn = document.getElementById('project-detach');
+    var count = profileDraft.project ? Object.keys(profileDraft.project).length : 0;
+
+    if (!project.filePath) {
+        statusEl.textContent = 'Save the project to give it its own settings';
+    } else if (project.error) {
+        statusEl.textContent = 'Cannot read ' + project.filePath + ': ' + project.error;
+    } else if (project.detached) {
+        statusEl.textContent = 'Detached: ' + PROJECT_SETTINGS_FILE + ' of this project is ignored on this computer';
+    } else if (profileDraft.project) {
+        statusEl.textContent = count + ' settings marked Project come from ' + project.filePath;
+    } else {
+        statusEl.textContent = 'No ' + PROJECT_SETTINGS_FILE + ' next to this project: all settings come from the profile';
+    }
+    statusEl.classList.toggle('invalid', !!project.error);
 
-    // Keep preference-driven log visibility separate from responsive compact mode.
-    document.body.classList.toggle('hide-debug-log', shouldHide);
-
-    // Re-evaluate compact mode because the visible height requirement changes with the log.
-    if (document.body.hasAttribute('data-layout')) {
-        applyResponsivePanelLayout();
-    }
+    document.getElementById('project-save').disabled = !project.filePath;
+    detachBtn.disabled = !project.detached && !profileDraft.project;
+    detachBtn.textContent = project.detached ? 'Attach to Project' : 'Detach from Project';
 }
 
 /**
- * Resolve which panel layout fits the current dimensions best.
- * @param {number} width - Available panel width
- * @param {number} height - Available panel height
- * @returns {string} full or compact
+ * Write the settings shown in the form to the project settings file
+ * Every project field is saved, so the whole team gets the same presets, naming and folders.
  */
-function getResponsivePanelLayout(width, height) {
-    var fullMinWidth = 112;
-    var fullMinHeight = 136;
-    var tallNarrowMinWidth = 142;
-    var isTallNarrow = height >= width * 1.25;
+function saveSettingsToProject() {
+    // The profile keeps its own values underneath the project ones
+    var profileValues = JSON.parse(JSON.stringify(getDraftProfile()));
+    storeProfileForm();
+    var layered = getLayeredDraftProfile();
+    var settings = {};
+    PROJECT_SETTING_FIELDS.forEach(function (field) {
+        settings[field] = layered[field];
+        getDraftProfile()[field] = profileValues[field];
+    });
 
-    // Tall narrow panels need compact mode so the button can shrink laterally.
-    if (isTallNarrow && width < tallNarrowMinWidth) {
-        return 'compact';
+    var result = Persistence.saveProject(settings);
+    if (!result.success) {
+        setStatus('Project settings not saved: ' + result.error, 'error');
+        return;
     }
 
-    // Full mode should depend on usable space, not on a near-square panel ratio.
-    return width >= fullMinWidth && height >= fullMinHeight ? 'full' : 'compact';
+    profileDraft.project = JSON.parse(JSON.stringify(settings));
+    fillProfileForm(getDraftProfile());
+    renderProjectSettingsStatus();
+    setStatus('Settings saved to project', 'success');
+    debugLog('Project settings saved: ' + result.path, 'success');
 }
 
 /**
- * Clamp a responsive size into a safe visual range.
- * @param {number} value - Preferred size
- * @param {number} minSize - Minimum size
- * @param {number} maxSize - Maximum size
- * @returns {number} Clamped compact size
+ * Stop or resume using the project settings file on this computer; the file itself is kept
  */
-function clampResponsiveSize(value, minSize, maxSize) {
-    return Math.max(minSize, Math.min(maxSize, value));
+function toggleProjectDetached() {
+    var detach = !Persistence.project.detached;
+
+    storeProfileForm();
+    Persistence.setProjectDetached(detach);
+    profileDraft.project = JSON.parse(JSON.stringify(Persistence.getProjectSettings()));
+    fillProfileForm(getDraftProfile());
+    renderProjectSettingsStatus();
+    setStatus(detach ? 'Detached from project settings' : 'Using project settings', 'success');
 }
 
 /**
- * Keep CEP viewport measurements on the visible side when clientWidth and innerWidth disagree.
- * @param {...number} sizes - Candidate viewport sizes
- * @returns {number} Smallest non-zero size
+ * Show the deliverables of a profile as editable rows
+ * @param {Array} deliverables - Deliverables {presetPath, subfolder}
  */
-function getSafeViewportDimension() {
-    var safeSize = 0;
+function renderDeliverableRows(deliverables) {
+    var listEl = document.getElementById('deliverable-list');
+    listEl.innerHTML = '';
+
+    deliverables.forEach(function (deliverable, index) {
+        var row = document.createElement('div');
+        row.className = 'deliverable-row';
+
+        var presetInput = document.createElement('input');
+        presetInput.type = 'text';
+        presetInput.id = 'deliverable-preset-' + index;
+        presetInput.className = 'deliverable-preset';
+        presetInput.placeholder = 'Path to .epr preset file';
+        presetInput.value = deliverable.presetPath || '';
+
+        var subfolderInput = document.createElement('input');
+        subfolderInput.type = 'text';
+        subfolderInput.className = 'deliverable-subfolder';
+        subfolderInput.placeholder = 'Subfolder (optional)';
+        subfolderInput.value = deliverable.subfolder || '';
+
+        var browseBtn = document.createElement('button');
+        browseBtn.className = 'browse-btn';
+        browseBtn.textContent = 'Browse';
+        browseBtn.addEventListener('click', function () {
+            browseForPreset(presetInput.id);
+        });
 
-    for (var i = 0; i < arguments.length; i++) {
-        var size = arguments[i];
-        if (size > 0) {
-            safeSize = safeSize > 0 ? Math.min(safeSize, size) : size;
-        }
-    }
+        var removeBtn = document.createElement('button');
+        removeBtn.className = 'browse-btn';
+        removeBtn.textContent = 'Remove';
+        removeBtn.addEventListener('click', function () {
+            var rows = readDeliverableRows();
+            rows.splice(index, 1);
+            renderDeliverableRows(rows);
+        });
 
-    return safeSize;
+        row.appendChild(presetInput);
+        row.appendChild(subfolderInput);
+        row.appendChild(browseBtn);
+        row.appendChild(removeBtn);
+        listEl.appendChild(row);
+    });
 }
 
 /**
- * Measure the usable content box of an element without its padding.
- * @param {HTMLElement} element - Element to measure
- * @param {number} fallbackWidth - Width fallback
- * @param {number} fallbackHeight - Height fallback
- * @returns {{width:number,height:number}} Content box size
+ * Read the deliverable rows of the settings form
+ * @returns {Array} Deliverables {presetPath, subfolder}
  */
-function getElementContentBoxSize(element, fallbackWidth, fallbackHeight) {
-    if (!element) {
-        return {
-            width: fallbackWidth,
-            height: fallbackHeight
-        };
+function readDeliverableRows() {
+    var rows = document.querySelectorAll('#deliverable-list .deliverable-row');
+    var deliverables = [];
+
+    for (var i = 0; i < rows.length; i++) {
+        deliverables.push({
+            presetPath: rows[i].querySelector('.deliverable-preset').value.trim(),
+            subfolder: rows[i].querySelector('.deliverable-subfolder').value.trim()
+        });
     }
+    return deliverables;
+}
 
-    var computedStyle = window.getComputedStyle(element);
-    var horizontalPadding = (parseFloat(computedStyle.paddingLeft) || 0) + (parseFloat(computedStyle.paddingRight) || 0);
-    var verticalPadding = (parseFloat(computedStyle.paddingTop) || 0) + (parseFloat(computedStyle.paddingBottom) || 0);
-    var rect = typeof element.getBoundingClientRect === 'function' ? element.getBoundingClientRect() : null;
-    var measuredWidth = element.clientWidth || fallbackWidth;
-    var measuredHeight = element.clientHeight || fallbackHeight;
-
-    // CEP can over-report viewport sizes, so keep the smallest positive DOM measurement.
-    if (rect && rect.width > 0) {
-        measuredWidth = Math.min(measuredWidth, rect.width);
-    }
-    if (rect && rect.height > 0) {
-        measuredHeight = Math.min(measuredHeight, rect.height);
-    }
+// Pending preview refresh and id of the latest preview request
+var namingPreviewTimer = null;
+var namingPreviewRequest = 0;
 
-    // CEP reports client sizes with padding included, so remove it to get the real button area.
-    return {
-        width: Math.max(0, measuredWidth - horizontalPadding),
-        height: Math.max(0, measuredHeight - verticalPadding)
-    };
+/**
+ * Refresh the filename preview shortly after the settings form changed
+ */
+function updateNamingPreview() {
+    clearTimeout(namingPreviewTimer);
+    namingPreviewTimer = setTimeout(renderNamingPreview, 250);
 }
 
 /**
- * Apply the responsive layout classes to the panel.
+ * Show the full output path the settings form would produce for the active sequence,
+ * with its next version and preset extension, and flag problems in the pattern or path
  */
-function applyResponsivePanelLayout() {
-    var panelWidth = getSafeViewportDimension(document.documentElement.clientWidth || 0, window.innerWidth || 0, window.outerWidth || 0);
-    var panelHeight = getSafeViewportDimension(document.documentElement.clientHeight || 0, window.innerHeight || 0, window.outerHeight || 0);
-    var nextLayout = getResponsivePanelLayout(panelWidth, panelHeight);
-    var isCompact = nextLayout === 'compact';
-    var hideDebugForSize = !isCompact && !document.body.classList.contains('hide-debug-log') && panelHeight < 260;
-    var compactControlsBelow = false;
-    var mainContainer = document.getElementById('main-container');
-    var contentBoxSize;
-    var contentWidth;
-    var contentHeight;
-    var buttonWidth = 64;
-    var buttonHeight = 64;
-    var iconSize = 32;
+function renderNamingPreview() {
+    var requestId = ++namingPreviewRequest;
+    var previewEl = document.getElementById('naming-preview');
+
+    storeProfileForm();
+    var profile = getDraftProfile() ? getLayeredDraftProfile() : getActiveProfile();
+    var pattern = profile.suffixPattern || DEFAULT_PROFILE.suffixPattern;
+    var errors = validateNamingPattern(pattern).concat(validateFolderTemplate(profile.exportFolder));
+    var deliverable = profile.useDeliverables ? getProfileDeliverables(profile)[0] : null;
+
+    function show(text, problems) {
+        if (requestId !== namingPreviewRequest) return;
+        previewEl.classList.toggle('invalid', problems.length > 0);
+        previewEl.textContent = [text].concat(problems).join('\n');
+    }
 
-    // Apply layout classes first so padding and hidden debug state are reflected in measurements.
-    document.body.setAttribute('data-layout', nextLayout);
-    document.body.classList.toggle('layout-compact', isCompact);
-    document.body.classList.toggle('layout-hide-debug-for-size', hideDebugForSize);
+    getSequenceNamingInfo('', '', function (sequenceInfo) {
+        var sequenceName = sequenceInfo.name || 'MyEdit';
+        var cleanName = sequenceName.replace(/[<>:"/\\|?*]/g, '_');
+        var escapedName = sequenceName.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
 
-    contentBoxSize = getElementContentBoxSize(mainContainer, panelWidth, panelHeight);
-    contentWidth = contentBoxSize.width;
-    contentHeight = contentBoxSize.height;
-    compactControlsBelow = isCompact && (contentWidth < 118 || panelHeight >= panelWidth * 1.25);
-    document.body.setAttribute('data-compact-controls', compactControlsBelow ? 'below' : 'side');
+        csInterface.evalScript("ExportButton_hasVideoForSequence('" + escapedName + "')", function (videoResult) {
+            var hasVideo = true;
+            try {
+                hasVideo = JSON.parse(videoResult).hasVideo !== false;
+            } catch (e) {
+                // Without an active sequence the video preset is previewed
+            }
 
-    if (isCompact) {
-        // Compact mode stacks controls below when the checkbox would force lateral overflow.
-        var reservedWidth = compactControlsBelow ? Math.max(18, Math.round(contentWidth * 0.18)) : 28;
-        var reservedHeight = compactControlsBelow ? 28 : 14;
-        var availableButtonWidth = Math.max(24, contentWidth - reservedWidth);
-        var availableButtonHeight = Math.max(24, contentHeight - reservedHeight);
-        buttonWidth = clampResponsiveSize(availableButtonWidth, Math.min(36, availableButtonWidth), availableButtonWidth);
-        buttonHeight = clampResponsiveSize(availableButtonHeight, Math.min(28, availableButtonHeight), availableButtonHeight);
-        iconSize = clampResponsiveSize(Math.min(buttonWidth, buttonHeight) * 0.48, 16, 34);
-    } else {
-        // Full mode appears as soon as the main controls fit, then scales the square button up.
-        var reservedHeight = hideDebugForSize ? 44 : 180;
-        var availableSquareSize = Math.min(contentWidth, Math.max(52, contentHeight - reservedHeight));
-        buttonWidth = clampResponsiveSize(availableSquareSize, 64, 128);
-        buttonHeight = buttonWidth;
-        iconSize = clampResponsiveSize(buttonWidth * 0.42, 24, 46);
-    }
+            var presetPath = deliverable ? deliverable.presetPath :
+                hasVideo ? profile.videoPreset || defaultPresets.video : profile.audioPreset || defaultPresets.audio;
+            var downloadEnabled = document.getElementById('download-checkbox').checked;
+            var naming = createFolderNaming(sequenceInfo, cleanName, presetPath, profile, profile.inoutExport === true);
 
-    // Store the final sizing values as CSS variables for the responsive layout rules.
-    document.body.style.setProperty('--export-button-width', buttonWidth + 'px');
-    document.body.style.setProperty('--export-button-height', buttonHeight + 'px');
-    document.body.style.setProperty('--export-icon-size', iconSize + 'px');
+            resolveOutputFolder(profile, downloadEnabled, naming, function (folderInfo) {
+                var folderPath = folderInfo.success ? folderInfo.path : '';
+                if (folderPath && deliverable) {
+                    folderPath = joinOutputPath(folderPath, deliverable.subfolder);
+                }
+
+                resolveExportVersion({
+                    profile: profile,
+                    sequenceName: cleanName,
+                    sequenceInfo: sequenceInfo,
+                    folders: folderPath ? [folderPath] : [],
+                    extension: getExtensionFromPreset(presetPath, hasVideo).slice(1),
+                    reserve: false
+                }, function (version) {
+                    var tokens = buildNamingTokens(sequenceInfo, presetPath, profile.inoutExport === true);
+                    var fileName = parseSuffixPattern(pattern, version, cleanName, tokens, profile.utcTime === true);
+                    var outputPath = buildExportOutputPath(folderPath ? joinOutputPath(folderPath, fileName) : fileName, presetPath, hasVideo);
+                    var problems = errors.concat(folderPath ? validateOutputPath(outputPath) : ['Export folder unavailable: ' + folderInfo.error]);
+
+                    show('Preview' + (sequenceInfo.name ? '' : ' (no active sequence)') + ': ' + outputPath, problems);
+                });
+            });
+        });
+    });
 }
 
 /**
- * Watch the CEP panel size and keep the main controls usable.
+ * Show the next version of the active sequence for the profile in the settings form
  */
-function setupResponsivePanelLayout() {
-    // Reuse the same layout calculation for both resize mechanisms.
-    var handleResize = function () {
-        applyResponsivePanelLayout();
-    };
-
-    window.addEventListener('resize', handleResize);
-
-    if (typeof ResizeObserver === 'function') {
-        if (panelLayoutObserver) {
-            panelLayoutObserver.disconnect();
+function refreshNextVersion() {
+    storeProfileForm();
+    var profile = getDraftProfile() ? getLayeredDraftProfile() : getActiveProfile();
+    var hintEl = document.getElementById('next-version-hint');
+
+    getSequenceNamingInfo('', '', function (sequenceInfo) {
+        if (!sequenceInfo.name) {
+            hintEl.textContent = 'Open a sequence to see its next version';
+            return;
         }
 
-        panelLayoutObserver = new ResizeObserver(function () {
-            applyResponsivePanelLayout();
+        var cleanName = sequenceInfo.name.replace(/[<>:"/\\|?*]/g, '_');
+        var presetPath = profile.videoPreset || defaultPresets.video;
+        var downloadEnabled = document.getElementById('download-checkbox').checked;
+        var naming = createFolderNaming(sequenceInfo, cleanName, presetPath, profile, profile.inoutExport === true);
+
+        resolveOutputFolder(profile, downloadEnabled, naming, function (folderInfo) {
+            resolveExportVersion({
+                profile: profile,
+                sequenceName: cleanName,
+                sequenceInfo: sequenceInfo,
+                folders: folderInfo.success ? [folderInfo.path] : [],
+                extension: getExtensionFromPreset(presetPath, true).slice(1),
+                reserve: false
+            }, function (version) {
+                document.getElementById('next-version').value = version;
+                hintEl.textContent = 'Next export of ' + sequenceInfo.name + ': version ' + version;
+            });
         });
-        panelLayoutObserver.observe(document.documentElement);
-    }
-
-    handleResize();
+    });
 }
 
 /**
- * Get system information from ExtendScript
+ * Store the next version typed in the settings form for the active sequence
+ * @param {boolean} bump - Add one to the typed version
  */
-function getSystemInfo() {
-    csInterface.evalScript('ExportButton_getSystemInfo()', function (result) {
-        try {
-            var info = JSON.parse(result);
-            if (info.isWindows) {
-                // Windows default preset paths
-                defaultPresets.video = 'C:\\Program Files\\Adobe\\Adobe Media Encoder 2025\\MediaIO\\systempresets\\58444341_4d584658\\YouTube 1080p Full HD.epr';
-                defaultPresets.audio = 'C:\\Program Files\\Adobe\\Adobe Media Encoder 2025\\MediaIO\\systempresets\\41494646_41494646\\WAV 48kHz 16 bit.epr';
-            } else {
-                // macOS default preset paths
-                defaultPresets.video = '/Applications/Adobe Media Encoder 2025/Adobe Media Encoder 2025.app/Contents/MediaIO/systempresets/58444341_4d584658/YouTube 1080p Full HD.epr';
-                defaultPresets.audio = '/Applications/Adobe Media Encoder 2025/Adobe Media Encoder 2025.app/Contents/MediaIO/systempresets/41494646_41494646/WAV 48kHz 16 bit.epr';
-            }
+function applyNextVersion(bump) {
+    var version = parseInt(document.getElementById('next-version').value, 10);
+    if (!(version >= 1)) {
+        setStatus('Next version must be 1 or more', 'error');
+        return;
+    }
+    if (bump) {
+        version++;
+    }
 
-            // Set defaults if no presets are saved
-            if (!Persistence.get(STORAGE_KEYS.VIDEO_PRESET)) {
-                document.getElementById('video-preset').placeholder = defaultPresets.video;
-            }
-            if (!Persistence.get(STORAGE_KEYS.AUDIO_PRESET)) {
-                document.getElementById('audio-preset').placeholder = defaultPresets.audio;
-            }
-        } catch (e) {
-            console.error('Error parsing system info:', e);
+    getSequenceNamingInfo('', '', function (sequenceInfo) {
+        if (!sequenceInfo.name) {
+            setStatus('No active sequence', 'error');
+            return;
         }
+
+        setNextVersion(sequenceInfo, sequenceInfo.name.replace(/[<>:"/\\|?*]/g, '_'), version);
+        debugLog('Next version of ' + sequenceInfo.name + ' set to ' + version, 'success');
+        refreshNextVersion();
     });
 }
 
 /**
- * Handle export button click
- * First checks for selected sequences in Project panel (batch export)
- * Falls back to active sequence if nothing selected
- * Note: Premiere Direct export mode skips batch (not compatible)
+ * Write the settings form back into the selected draft profile
  */
-function handleExport() {
-    setStatus('Checking...', 'warning');
-    debugLog('Export button clicked', 'info');
+function storeProfileForm() {
+    var profile = getDraftProfile();
+    if (!profile) return;
+
+    // Values marked Project are written back to the project settings, not to the profile
+    var projectFields = Object.keys(profileDraft.project || {});
+    var profileValues = {};
+    projectFields.forEach(function (field) {
+        profileValues[field] = profile[field];
+    });
 
-    // Check if Premiere Direct export is enabled
-    var premiereDirect = Persistence.get(STORAGE_KEYS.PREMIERE_DIRECT) === 'true';
+    profile.name = document.getElementById('profile-name').value.trim() || profile.name;
+    profile.videoPreset = document.getElementById('video-preset').value;
+    profile.audioPreset = document.getElementById('audio-preset').value;
+    profile.suffixPattern = document.getElementById('suffix-pattern').value || DEFAULT_PROFILE.suffixPattern;
+    profile.utcTime = document.getElementById('utc-time').checked;
+    profile.versionScope = document.getElementById('version-scope').value;
+    profile.collisionPolicy = document.getElementById('collision-policy').value;
+    profile.inoutExport = document.getElementById('inout-export').checked;
+    profile.exportFolder = document.getElementById('export-folder').value || DEFAULT_PROFILE.exportFolder;
+    profile.folderDepth = parseInt(document.getElementById('folder-depth').value || '0', 10) || 0;
+    profile.folderMode = document.getElementById('folder-mode').value;
+    profile.markerNames = document.getElementById('marker-names').value.trim() || DEFAULT_PROFILE.markerNames;
+    profile.markerLevels = parseInt(document.getElementById('marker-levels').value || '0', 10) || 0;
+    profile.markerFallback = document.getElementById('marker-fallback').value;
+    profile.fixedFolder = document.getElementById('fixed-folder').value;
+    profile.premiereDirect = document.getElementById('premiere-direct').checked;
+    profile.queueOnly = document.getElementById('queue-only').checked;
+    profile.useDeliverables = document.getElementById('use-deliverables').checked;
+    profile.deliverables = readDeliverableRows();
+
+    projectFields.forEach(function (field) {
+        profileDraft.project[field] = profile[field];
+        profile[field] = profileValues[field];
+    });
+}
 
-    // Premiere Direct mode is not compatible with batch export
-    if (premiereDirect) {
-        debugLog('Premiere Direct mode - using active sequence only', 'info');
-        handleSingleExport();
-        return;
-    }
+/**
+ * Switch the settings form to another profile, keeping edits of the previous one
+ * @param {string} profileId - Id of the profile to edit
+ */
+function selectDraftProfile(profileId) {
+    storeProfileForm();
+    profileDraft.selectedId = profileId;
+    renderProfileSelect();
+    fillProfileForm(getDraftProfile());
+}
 
-    // First, check if there are sequences selected in Project panel
-    debugLog('Checking for selected sequences...', 'info');
+/**
+ * Build a profile name that is not used yet
+ * @param {string} baseName - Preferred name
+ * @returns {string} Unique profile name
+ */
+function getUniqueProfileName(baseName) {
+    var names = profileDraft.profiles.map(function (profile) {
+        return profile.name;
+    });
+    var name = baseName;
+    var counter = 2;
 
-    // Add timeout to prevent hanging on Windows
-    var selectionCallbackFired = false;
-    var selectionTimeout = setTimeout(function () {
-        if (!selectionCallbackFired) {
-            selectionCallbackFired = true;
-            debugLog('Selection check timed out - falling back to active sequence', 'warning');
-            handleSingleExport();
-        }
-    }, 3000); // 3 second timeout
+    while (names.indexOf(name) !== -1) {
+        name = baseName + ' ' + counter;
+        counter++;
+    }
+    return name;
+}
 
-    csInterface.evalScript('ExportButton_getSelectedSequences()', function (result) {
-        // Cancel timeout and mark callback as fired
-        clearTimeout(selectionTimeout);
-        if (selectionCallbackFired) {
-            // Timeout already fired, ignore this late callback
-            return;
-        }
-        selectionCallbackFired = true;
+/**
+ * Add a profile with default values to the draft
+ */
+function addDraftProfile() {
+    storeProfileForm();
+    var profile = createProfile(getUniqueProfileName('New Profile'));
+    profileDraft.profiles.push(profile);
+    selectDraftProfile(profile.id);
+}
 
-        debugLog('getSelectedSequences result: ' + result, 'info');
+/**
+ * Add a copy of the selected profile to the draft
+ */
+function duplicateDraftProfile() {
+    storeProfileForm();
+    var source = getDraftProfile();
+    var profile = createProfile(getUniqueProfileName(source.name + ' Copy'), source);
+    profileDraft.profiles.push(profile);
+    selectDraftProfile(profile.id);
+}
 
-        try {
-            var selectionInfo = JSON.parse(result);
+/**
+ * Remove the selected profile from the draft (the last profile is kept)
+ */
+function deleteDraftProfile() {
+    if (profileDraft.profiles.length <= 1) {
+        setStatus('At least one profile is required', 'warning');
+        return;
+    }
 
-            if (selectionInfo.success && selectionInfo.count > 1) {
-                // Batch export mode! Only when MULTIPLE sequences are selected
-                debugLog('Batch export: ' + selectionInfo.count + ' sequences selected', 'success');
-                setStatus('Batch: ' + selectionInfo.count + ' sequences', 'warning');
-                handleBatchExport(selectionInfo.sequences);
-            } else {
-                // No selection or failed - fall back to active sequence
-                debugLog('No selection, using active sequence', 'info');
-                handleSingleExport();
-            }
-        } catch (e) {
-            debugLog('Selection check failed: ' + e.message, 'error');
-            // Fall back to active sequence
-            handleSingleExport();
-        }
+    var deletedId = profileDraft.selectedId;
+    profileDraft.profiles = profileDraft.profiles.filter(function (profile) {
+        return profile.id !== deletedId;
     });
+    profileDraft.selectedId = profileDraft.profiles[0].id;
+    renderProfileSelect();
+    fillProfileForm(getDraftProfile());
 }
 
-
 /**
- * Handle batch export of multiple sequences
- * @param {Array} sequences - Array of sequence objects {name, nodeId}
+ * Save settings to the settings file
  */
-function handleBatchExport(sequences) {
-    var downloadEnabled = document.getElementById('download-checkbox').checked;
-    var totalCount = sequences.length;
-    var successCount = 0;
-    var errorCount = 0;
-    var currentIndex = 0;
-
-    debugLog('Starting batch export of ' + totalCount + ' sequences', 'info');
+function saveSettings() {
+    var hideLog = document.getElementById('hide-log').checked;
 
-    // Process sequences one by one
-    function processNextSequence() {
-        if (currentIndex >= totalCount) {
-            // All done - start the batch
-            debugLog('All sequences queued, starting AME batch...', 'info');
-            csInterface.evalScript('ExportButton_startAMEBatch()', function (result) {
-                setStatus('Batch started: ' + successCount + '/' + totalCount, 'success');
-                debugLog('Batch export complete: ' + successCount + ' success, ' + errorCount + ' errors', 'success');
-            });
+    // The profile shown in the modal becomes the active one
+    storeProfileForm();
+    Persistence.transaction(function () {
+        Persistence.saveProfiles(profileDraft.profiles, profileDraft.selectedId);
+        Persistence.set(STORAGE_KEYS.HIDE_DEBUG_LOG, hideLog);
+    });
+    // Reset values are now written back, so they no longer need attention
+    Persistence.loadProblems = [];
+    Persistence.validationProblems = [];
+    Persistence.problems = [];
+
+    // Edited project values go back to the project settings file
+    if (profileDraft.project && JSON.stringify(profileDraft.project) !== JSON.stringify(Persistence.getProjectSettings())) {
+        var projectResult = Persistence.saveProject(profileDraft.project);
+        if (!projectResult.success) {
+            setStatus('Project settings not saved: ' + projectResult.error, 'error');
             return;
         }
+    }
+    renderProfilePicker();
 
-        var seq = sequences[currentIndex];
-        setStatus('Queueing ' + (currentIndex + 1) + '/' + totalCount + '...', 'warning');
-        debugLog('Processing: ' + seq.name, 'info');
+    // Re-apply the debug log preference without fighting the responsive layout CSS.
+    syncDebugPanelVisibility();
 
-        // Get video info for this sequence
-        var escapedName = seq.name.replace(/'/g, "\\'");
-        csInterface.evalScript("ExportButton_hasVideoForSequence('" + escapedName + "')", function (videoResult) {
-            try {
-                var videoInfo = JSON.parse(videoResult);
-                var hasVideo = videoInfo.hasVideo || false;
+    var presetProblems = reportPresetHealth();
+    setStatus(presetProblems.length > 0 ? 'Settings saved, but a preset needs fixing' : 'Settings saved', presetProblems.length > 0 ? 'warning' : 'success');
+    closeSettingsModal();
+}
 
-                // Determine preset
-                var presetPath;
-                if (hasVideo) {
-                    presetPath = Persistence.get(STORAGE_KEYS.VIDEO_PRESET) || defaultPresets.video;
-                } else {
-                    presetPath = Persistence.get(STORAGE_KEYS.AUDIO_PRESET) || defaultPresets.audio;
-                }
+/**
+ * Portable settings bundle written by "Export Settings..." and read by "Import Settings..."
+ * Bump the version when the bundle layout changes; older bundles must stay importable.
+ */
+var SETTINGS_BUNDLE_FORMAT = 'PremiereExportButton.settings';
+var SETTINGS_BUNDLE_VERSION = 1;
+
+/**
+ * Build the settings bundle of the profiles shown in the settings modal
+ * @returns {object} Bundle {format, version, exportedAt, platform, homeDir, activeProfile, profiles}
+ */
+function createSettingsBundle() {
+    storeProfileForm();
+
+    return {
+        format: SETTINGS_BUNDLE_FORMAT,
+        version: SETTINGS_BUNDLE_VERSION,
+        exportedAt: new Date().toISOString(),
+        platform: os.platform(),
+        homeDir: os.homedir(),
+        activeProfile: getDraftProfile().name,
+        // Ids are local to this computer; profiles are matched by name on import
+        profiles: profileDraft.profiles.map(function (profile) {
+            var copy = {};
+            Object.keys(DEFAULT_PROFILE).forEach(function (field) {
+                copy[field] = profile[field];
+            });
+            return copy;
+        })
+    };
+}
+
+/**
+ * Save the profiles of the settings modal to a settings bundle file
+ */
+function exportSettingsBundle() {
+    var bundle = createSettingsBundle();
+    var defaultName = 'ExportButton_Settings_' + formatDateTime('YYYY-MM-DD', new Date(), false) + '.json';
+    var result = window.cep.fs.showSaveDialogEx('Export Settings', os.homedir(), ['json'], defaultName);
+
+    if (result.err !== 0 || !result.data) return;
+
+    var filePath = /\.json$/i.test(result.data) ? result.data : result.data + '.json';
+    try {
+        fs.writeFileSync(filePath, JSON.stringify(bundle, null, 2));
+    } catch (e) {
+        setSettingsBundleStatus('Could not write ' + filePath + ': ' + e.message, true);
+        return;
+    }
+    setSettingsBundleStatus(bundle.profiles.length + ' profiles exported to ' + filePath, false);
+    debugLog('Settings exported: ' + filePath, 'success');
+}
+
+/**
+ * Read a settings bundle file into the settings modal
+ * Imported profiles replace the profiles with the same name and are kept until Save is clicked.
+ */
+function importSettingsBundle() {
+    var result = window.cep.fs.showOpenDialogEx(false, false, 'Import Settings', os.homedir(), ['json']);
+    if (result.err !== 0 || !result.data || result.data.length === 0) return;
+
+    var bundle;
+    try {
+        bundle = JSON.parse(fs.readFileSync(result.data[0], 'utf8'));
+    } catch (e) {
+        setSettingsBundleStatus('Cannot read ' + result.data[0] + ': ' + e.message, true);
+        return;
+    }
+
+    var error = validateSettingsBundle(bundle);
+    if (error) {
+        setSettingsBundleStatus(error, true);
+        return;
+    }
+
+    var summary = applySettingsBundle(bundle);
+    var lines = [summary.imported + ' profiles imported' + (summary.rewritten ? ', ' + summary.rewritten + ' preset paths rewritten for this computer' : '') + '. Click Save to keep them.'];
+    summary.missing.forEach(function (item) {
+        lines.push('Missing preset in ' + item.profile + ': ' + item.presetPath);
+    });
+    lines = lines.concat(summary.invalid);
+    setSettingsBundleStatus(lines.join('\n'), summary.missing.length + summary.invalid.length > 0);
+    debugLog('Settings imported from ' + result.data[0] + ': ' + summary.imported + ' profiles, ' + summary.missing.length + ' missing presets', summary.missing.length ? 'warning' : 'success');
+}
+
+/**
+ * Check that a parsed file is a settings bundle this version can import
+ * @param {object} bundle - Parsed bundle
+ * @returns {string} Error message, empty when the bundle can be imported
+ */
+function validateSettingsBundle(bundle) {
+    if (!bundle || bundle.format !== SETTINGS_BUNDLE_FORMAT) {
+        return 'Not an Export Button settings file';
+    }
+    if (!(bundle.version >= 1)) {
+        return 'Settings file has no valid version';
+    }
+    if (bundle.version > SETTINGS_BUNDLE_VERSION) {
+        return 'Settings file version ' + bundle.version + ' needs a newer Export Button';
+    }
+    if (!Array.isArray(bundle.profiles) || bundle.profiles.length === 0) {
+        return 'Settings file has no profiles';
+    }
+    return '';
+}
+
+/**
+ * Merge the profiles of a bundle into the settings modal draft
+ * @param {object} bundle - Validated settings bundle
+ * @returns {object} {imported, rewritten, missing: [{profile, presetPath}], invalid: [message]}
+ */
+function applySettingsBundle(bundle) {
+    var summary = { imported: 0, rewritten: 0, missing: [], invalid: [] };
+    var selectedId = profileDraft.selectedId;
+
+    function importPreset(profileName, presetPath) {
+        if (!presetPath) return presetPath;
+
+        var localPath = rewritePresetPath(presetPath, bundle);
+        if (localPath !== presetPath) {
+            summary.rewritten++;
+        }
+        if (!fs.existsSync(localPath)) {
+            summary.missing.push({ profile: profileName, presetPath: localPath });
+        }
+        return localPath;
+    }
+
+    bundle.profiles.forEach(function (source) {
+        if (!source || typeof source !== 'object') return;
+
+        var name = String(source.name || DEFAULT_PROFILE.name);
+        var profile = createProfile(name, source);
+        summary.invalid = summary.invalid.concat(validateProfileFields(profile, name));
+        profile.videoPreset = importPreset(name, profile.videoPreset);
+        profile.audioPreset = importPreset(name, profile.audioPreset);
+        profile.deliverables = (profile.deliverables || []).map(function (deliverable) {
+            return { presetPath: importPreset(name, deliverable.presetPath), subfolder: deliverable.subfolder || '' };
+        });
+
+        // A profile with the same name is replaced but keeps its id, so it stays the active one
+        var existing = profileDraft.profiles.filter(function (candidate) {
+            return candidate.name === name;
+        })[0];
+        if (existing) {
+            profile.id = existing.id;
+            profileDraft.profiles[profileDraft.profiles.indexOf(existing)] = profile;
+        } else {
+            profileDraft.profiles.push(profile);
+        }
+        if (name === bundle.activeProfile) {
+            selectedId = profile.id;
+        }
+        summary.imported++;
+    });
+
+    profileDraft.selectedId = selectedId;
+    renderProfileSelect();
+    fillProfileForm(getDraftProfile());
+    return summary;
+}
+
+/**
+ * Find where a preset of another computer lives on this one
+ * Presets in the home folder of the exporting user move to this user's home folder, and
+ * Media Encoder system presets move between the macOS and Windows install folders.
+ * @param {string} presetPath - Preset path stored in the bundle
+ * @param {object} bundle - Settings bundle with the platform and home folder it was exported from
+ * @returns {string} Preset path for this computer (unchanged when no rule applies)
+ */
+function rewritePresetPath(presetPath, bundle) {
+    var homeParts = String(bundle.homeDir || '').split(/[\\/]+/).filter(Boolean);
+    var pathParts = presetPath.split(/[\\/]+/).filter(Boolean);
+    var samePlatform = bundle.platform === os.platform();
+
+    // Home folder, compared case-insensitively since Windows paths are
+    var inHome = homeParts.length > 0 && homeParts.every(function (part, index) {
+        return pathParts[index] && pathParts[index].toLowerCase() === part.toLowerCase();
+    });
+    if (inHome) {
+        return path.join.apply(path, [os.homedir()].concat(pathParts.slice(homeParts.length)));
+    }
+
+    var systemMatch = /Adobe Media Encoder (\d{4})[\\/].*?MediaIO[\\/]systempresets[\\/](.+)$/i.exec(presetPath);
+    if (systemMatch) {
+        var relative = systemMatch[2].split(/[\\/]+/);
+        var installs = getAMESystemPresetFolders();
+        // Prefer the same Media Encoder version, then the newest one that has the preset
+        var sameVersion = installs.filter(function (install) {
+            return install.version === systemMatch[1];
+        });
+        var candidates = sameVersion.concat(installs).map(function (install) {
+            return path.join.apply(path, [install.folder].concat(relative));
+        });
+        for (var i = 0; i < candidates.length; i++) {
+            if (fs.existsSync(candidates[i])) {
+                return candidates[i];
+            }
+        }
+        if (!samePlatform) {
+            return path.join.apply(path, [getAMESystemPresetFolder(systemMatch[1])].concat(relative));
+        }
+    }
+
+    return presetPath;
+}
+
+/**
+ * Get the system preset folder of a Media Encoder version on this computer
+ * @param {string} version - Media Encoder year, e.g. "2025"
+ * @returns {string} Folder path, whether it exists or not
+ */
+function getAMESystemPresetFolder(version) {
+    var appName = 'Adobe Media Encoder ' + version;
+    if (os.platform() === 'darwin') {
+        return path.join('/Applications', appName, appName + '.app', 'Contents', 'MediaIO', 'systempresets');
+    }
+    return path.join(process.env.ProgramFiles || 'C:\\Program Files', 'Adobe', appName, 'MediaIO', 'systempresets');
+}
+
+/**
+ * List the Media Encoder versions installed on this computer, newest first
+ * @returns {Array} [{version, folder}] with the system preset folder of each version
+ */
+function getAMESystemPresetFolders() {
+    var appsFolder = os.platform() === 'darwin' ? '/Applications' : path.join(process.env.ProgramFiles || 'C:\\Program Files', 'Adobe');
+    var names = [];
+    try {
+        names = fs.readdirSync(appsFolder);
+    } catch (e) {
+        return [];
+    }
+
+    return names.map(function (name) {
+        var match = /^Adobe Media Encoder (\d{4})$/.exec(name);
+        return match ? { version: match[1], folder: getAMESystemPresetFolder(match[1]) } : null;
+    }).filter(function (install) {
+        return install && fs.existsSync(install.folder);
+    }).sort(function (a, b) {
+        return b.version - a.version;
+    });
+}
+
+/**
+ * Get the Documents folder of the user, which Windows and macOS let users move (OneDrive, redirected folders)
+ * @returns {string} Documents folder, ~/Documents when CEP cannot tell
+ */
+function getDocumentsFolder() {
+    try {
+        var documents = csInterface.getSystemPath(SystemPath.MY_DOCUMENTS);
+        if (documents) {
+            return path.normalize(documents);
+        }
+    } catch (e) {
+        debugLog('Documents folder unavailable: ' + e.message, 'warning');
+    }
+    return path.join(os.homedir(), 'Documents');
+}
+
+/**
+ * Show the result of a settings export or import in the settings modal
+ * @param {string} message - Result message
+ * @param {boolean} isError - Whether the message reports a problem
+ */
+function setSettingsBundleStatus(message, isError) {
+    var statusEl = document.getElementById('settings-bundle-status');
+    statusEl.textContent = message;
+    statusEl.classList.toggle('invalid', isError);
+}
+
+/**
+ * Listen for Media Encoder job events forwarded by host.jsx
+ */
+function bindExportJobEvents() {
+    csInterface.addEventListener(EXPORT_JOB_EVENT, handleExportJobEvent);
+
+    csInterface.evalScript('ExportButton_bindEncoderEvents()', function (result) {
+        try {
+            var bindInfo = JSON.parse(result);
+            debugLog('AME job events: ' + (bindInfo.success ? 'listening' : bindInfo.error), bindInfo.success ? 'info' : 'warning');
+        } catch (e) {
+            debugLog('AME job events unavailable: ' + result, 'warning');
+        }
+    });
+}
+
+/**
+ * Remember an AME job queued by the panel so its events can be shown
+ * @param {string} jobID - Job id returned by encodeSequence
+ * @param {string} outputPath - Output path sent to AME
+ * @param {string=} historyId - Export history entry that receives the result
+ */
+function trackExportJob(jobID, outputPath, historyId) {
+    if (!jobID) return;
+
+    exportJobs.push({
+        jobID: String(jobID),
+        historyId: historyId || null,
+        name: outputPath.split(/[/\\]/).pop(),
+        outputPath: outputPath,
+        state: 'queued',
+        progress: 0,
+        error: ''
+    });
+    renderExportJobs();
+}
+
+/**
+ * Add a sequence of a Premiere Direct queue to the job list
+ * @param {string} sequenceName - Sequence waiting to be exported
+ * @returns {object} Job entry updated by the queue
+ */
+function trackDirectExport(sequenceName) {
+    directExportCount++;
+    var job = {
+        jobID: 'direct-' + directExportCount,
+        historyId: null,
+        sequence: sequenceName,
+        name: sequenceName,
+        outputPath: '',
+        state: 'pending',
+        progress: 0,
+        error: ''
+    };
+    exportJobs.push(job);
+    renderExportJobs();
+    return job;
+}
+
+/**
+ * Apply a job event from host.jsx to the tracked job
+ * @param {object} event - CSXS event whose data is the JSON payload
+ */
+function handleExportJobEvent(event) {
+    var payload;
+    try {
+        payload = typeof event.data === 'string' ? JSON.parse(event.data) : event.data;
+    } catch (e) {
+        debugLog('Invalid AME job event: ' + event.data, 'warning');
+        return;
+    }
+
+    var job = null;
+    for (var i = 0; i < exportJobs.length; i++) {
+        if (exportJobs[i].jobID === String(payload.jobID)) {
+            job = exportJobs[i];
+            break;
+        }
+    }
+
+    // Jobs queued by other tools or an earlier panel session are not listed
+    if (!job) return;
+
+    if (payload.type === 'progress') {
+        // AME reports progress as 0-1, older builds as a percentage
+        var progress = Number(payload.progress) || 0;
+        job.progress = Math.min(100, Math.round(progress <= 1 ? progress * 100 : progress));
+        job.state = 'encoding';
+    } else if (payload.type === 'complete') {
+        job.progress = 100;
+        job.state = 'complete';
+        job.outputPath = payload.outputPath || job.outputPath;
+        debugLog('AME job complete: ' + job.outputPath, 'success');
+    } else if (payload.type === 'error') {
+        job.state = 'error';
+        job.error = payload.error;
+        debugLog('AME job failed: ' + job.name + ' - ' + job.error, 'error');
+    } else if (payload.type === 'canceled') {
+        job.state = 'canceled';
+        debugLog('AME job canceled: ' + job.name, 'warning');
+    }
+
+    // Final job states are appended to the export history
+    if (job.historyId && job.state !== 'encoding') {
+        ExportHistory.updateResult(job.historyId, job.state, {
+            outputPath: job.state === 'complete' ? job.outputPath : undefined,
+            error: job.state === 'error' ? job.error : undefined
+        });
+    }
+
+    renderExportJobs();
+    if (lastBatchReport && document.getElementById('batch-report-modal').classList.contains('show')) {
+        renderBatchReport();
+    }
+}
+
+/**
+ * Redraw the AME job list under the status line
+ */
+function renderExportJobs() {
+    var listEl = document.getElementById('job-list');
+    if (!listEl) return;
+
+    var stateLabels = {
+        pending: 'Waiting',
+        rendering: 'Rendering...',
+        skipped: 'Skipped',
+        queued: 'Queued',
+        complete: 'Done',
+        error: 'Failed',
+        canceled: 'Canceled'
+    };
+
+    listEl.innerHTML = '';
+    exportJobs.forEach(function (job) {
+        var entry = document.createElement('div');
+        entry.className = 'job-entry job-' + job.state;
+
+        var nameEl = document.createElement('span');
+        nameEl.className = 'job-name';
+        nameEl.textContent = job.name;
+
+        var stateEl = document.createElement('span');
+        stateEl.className = 'job-state';
+        stateEl.textContent = job.state === 'encoding' ? job.progress + '%' : stateLabels[job.state];
+
+        var progressEl = document.createElement('div');
+        progressEl.className = 'job-progress';
+        progressEl.style.width = job.progress + '%';
+
+        entry.appendChild(nameEl);
+        entry.appendChild(stateEl);
+        entry.appendChild(progressEl);
+
+        // Finished jobs show where the file landed, failed jobs show why
+        var detail = job.state === 'complete' ? job.outputPath : job.state === 'error' || job.state === 'skipped' ? job.error : '';
+        if (detail) {
+            var detailEl = document.createElement('div');
+            detailEl.className = 'job-detail';
+            detailEl.textContent = detail;
+            entry.appendChild(detailEl);
+        }
+        entry.title = job.outputPath || job.name;
+
+        listEl.appendChild(entry);
+    });
+
+    document.body.classList.toggle('has-export-jobs', exportJobs.length > 0);
+}
+
+/**
+ * Remove finished, failed and canceled jobs from the list
+ */
+function clearFinishedExportJobs() {
+    exportJobs = exportJobs.filter(function (job) {
+        return job.state === 'queued' || job.state === 'encoding' || job.state === 'pending' || job.state === 'rendering';
+    });
+    renderExportJobs();
+}
+
+/**
+ * Add an export to the history with project and In/Out details from Premiere
+ * @param {object} entry - {sequence, nodeId, preset, outputPath, version, mode, inOut, result, error}
+ * @returns {string} History id used to attach the AME result later
+ */
+function recordExportHistory(entry) {
+    var historyId = ExportHistory.createId();
+    var safeName = (entry.sequence || '').replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+    var safeNodeId = String(entry.nodeId || '').replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+    entry.id = historyId;
+
+    // An empty name makes host.jsx describe the active sequence
+    csInterface.evalScript("ExportButton_getSequenceInfo('" + safeName + "', '" + safeNodeId + "')", function (result) {
+        try {
+            var info = JSON.parse(result);
+            if (info.success) {
+                entry.sequence = info.name;
+                entry.project = info.projectName;
+                entry.projectPath = info.projectPath;
+                // A re-export already knows the range it replayed
+                if (entry.inOut && !entry.range) {
+                    entry.range = { inPoint: info.inPoint, outPoint: info.outPoint };
+                }
+            }
+        } catch (e) {
+            debugLog('History details unavailable: ' + e.message, 'warning');
+        }
+        ExportHistory.record(entry);
+    });
+
+    return historyId;
+}
+
+/**
+ * Open the export history modal
+ */
+function openHistoryModal() {
+    renderExportHistory();
+    document.getElementById('history-modal').classList.add('show');
+}
+
+/**
+ * Close the export history modal
+ */
+function closeHistoryModal() {
+    document.getElementById('history-modal').classList.remove('show');
+}
+
+/**
+ * Redraw the export history, newest first
+ */
+function renderExportHistory() {
+    var listEl = document.getElementById('history-list');
+    var entries = ExportHistory.readAll().slice(0, 200);
+    var modeLabels = { ame: 'AME', premiere: 'Direct' };
+
+    listEl.innerHTML = '';
+    if (entries.length === 0) {
+        listEl.textContent = 'No exports recorded yet.';
+        return;
+    }
+
+    entries.forEach(function (entry) {
+        var row = document.createElement('div');
+        row.className = 'history-entry history-' + (entry.result || 'queued');
+
+        var header = document.createElement('div');
+        header.className = 'history-header';
+
+        var nameEl = document.createElement('span');
+        nameEl.className = 'history-name';
+        nameEl.textContent = (entry.outputPath || '').split(/[/\\]/).pop();
+        nameEl.title = entry.outputPath || '';
+
+        var resultEl = document.createElement('span');
+        resultEl.className = 'history-result';
+        resultEl.textContent = entry.result || 'queued';
+
+        header.appendChild(nameEl);
+        header.appendChild(resultEl);
+        row.appendChild(header);
+
+        var details = [
+            entry.sequence,
+            entry.project,
+            (entry.preset || '').split(/[/\\]/).pop().replace(/\.epr$/i, ''),
+            modeLabels[entry.mode] || entry.mode,
+            entry.version ? 'V' + entry.version : '',
+            entry.inOut ? 'In/Out' : '',
+            new Date(entry.timestamp).toLocaleString()
+        ].filter(function (part) {
+            return !!part;
+        });
+
+        var metaEl = document.createElement('div');
+        metaEl.className = 'history-meta';
+        metaEl.textContent = details.join(' · ');
+        row.appendChild(metaEl);
+
+        if (entry.error) {
+            var errorEl = document.createElement('div');
+            errorEl.className = 'history-error-text';
+            errorEl.textContent = entry.error;
+            row.appendChild(errorEl);
+        }
+
+        var actions = document.createElement('div');
+        actions.className = 'history-actions';
+
+        var revealBtn = document.createElement('button');
+        revealBtn.className = 'browse-btn';
+        revealBtn.textContent = os.platform() === 'darwin' ? 'Reveal in Finder' : 'Show in Explorer';
+        revealBtn.addEventListener('click', function () {
+            revealInFileBrowser(entry.outputPath);
+        });
+
+        var reExportBtn = document.createElement('button');
+        reExportBtn.className = 'browse-btn';
+        reExportBtn.textContent = 'Re-export';
+        reExportBtn.addEventListener('click', function () {
+            closeHistoryModal();
+            reExportFromHistory(entry);
+        });
+
+        actions.appendChild(revealBtn);
+        actions.appendChild(reExportBtn);
+        row.appendChild(actions);
+
+        listEl.appendChild(row);
+    });
+}
+
+/**
+ * Open the bin export modal with the bins of the project
+ */
+function openBinExportModal() {
+    var saved = Persistence.getObject(STORAGE_KEYS.BIN_EXPORT) || {};
+    var labelSelect = document.getElementById('bin-export-labels');
+
+    document.getElementById('bin-export-recursive').checked = saved.recursive !== false;
+    document.getElementById('bin-export-include').value = saved.include || '';
+    document.getElementById('bin-export-exclude').value = saved.exclude || '';
+    labelSelect.innerHTML = '';
+    SEQUENCE_LABEL_COLORS.forEach(function (color, index) {
+        var option = document.createElement('option');
+        option.value = String(index);
+        option.textContent = color;
+        option.selected = (saved.labels || []).indexOf(index) !== -1;
+        labelSelect.appendChild(option);
+    });
+
+    binExportSequences = [];
+    renderBinExportList();
+    document.getElementById('bin-export-modal').classList.add('show');
+
+    csInterface.evalScript('ExportButton_getProjectBins()', function (result) {
+        var binSelect = document.getElementById('bin-export-bin');
+        var binInfo;
+        try {
+            binInfo = JSON.parse(result);
+        } catch (e) {
+            binInfo = { success: false, bins: [], error: 'Error: ' + e.message };
+        }
+        if (!binInfo.success) {
+            setBinExportSummary(binInfo.error || 'Could not read the project bins', true);
+            return;
+        }
+
+        binSelect.innerHTML = '';
+        var rootOption = document.createElement('option');
+        rootOption.value = '';
+        rootOption.textContent = '(Whole project)';
+        binSelect.appendChild(rootOption);
+
+        // A bin selected in the Project panel wins over the last bin used
+        var selectedValue = '';
+        binInfo.bins.forEach(function (bin) {
+            var option = document.createElement('option');
+            option.value = bin.nodeId;
+            option.textContent = bin.path;
+            binSelect.appendChild(option);
+            if (bin.nodeId === binInfo.selectedNodeId || (!binInfo.selectedNodeId && bin.path === saved.binPath)) {
+                selectedValue = bin.nodeId;
+            }
+        });
+        binSelect.value = selectedValue;
+        loadBinExportSequences();
+    });
+}
+
+/**
+ * Close the bin export modal
+ */
+function closeBinExportModal() {
+    document.getElementById('bin-export-modal').classList.remove('show');
+}
+
+/**
+ * Read the filters of the bin export modal
+ * @returns {object} {binPath, recursive, include, exclude, labels}
+ */
+function readBinExportOptions() {
+    var binSelect = document.getElementById('bin-export-bin');
+    var selectedOption = binSelect.options ? binSelect.options[binSelect.selectedIndex] : null;
+    var labels = [];
+    var labelOptions = document.getElementById('bin-export-labels').options || [];
+    for (var i = 0; i < labelOptions.length; i++) {
+        if (labelOptions[i].selected) {
+            labels.push(parseInt(labelOptions[i].value, 10));
+        }
+    }
+
+    return {
+        binPath: selectedOption && selectedOption.value ? selectedOption.textContent : '',
+        recursive: document.getElementById('bin-export-recursive').checked,
+        include: document.getElementById('bin-export-include').value.trim(),
+        exclude: document.getElementById('bin-export-exclude').value.trim(),
+        labels: labels
+    };
+}
+
+/**
+ * Collect the sequences of the chosen bin, then show the dry-run list
+ */
+function loadBinExportSequences() {
+    var binNodeId = document.getElementById('bin-export-bin').value || '';
+    var recursive = document.getElementById('bin-export-recursive').checked;
+    var requestId = ++binExportRequest;
+    var script = "ExportButton_getBinSequences('" + binNodeId.replace(/\\/g, '\\\\').replace(/'/g, "\\'") + "', " + recursive + ")";
+
+    setBinExportSummary('Reading bin...', false);
+    csInterface.evalScript(script, function (result) {
+        // Ignore replies for a bin that is no longer selected
+        if (requestId !== binExportRequest) return;
+
+        var binInfo;
+        try {
+            binInfo = JSON.parse(result);
+        } catch (e) {
+            binInfo = { success: false, sequences: [], error: 'Error: ' + e.message };
+        }
+        if (!binInfo.success) {
+            binExportSequences = [];
+            renderBinExportList();
+            setBinExportSummary(binInfo.error || 'Could not read the bin', true);
+            return;
+        }
+
+        binExportSequences = binInfo.sequences;
+        renderBinExportList();
+    });
+}
+
+/**
+ * Compile a name filter: comma-separated globs (* and ?) or a /regex/flags
+ * Globs ignore case and must match the whole sequence name.
+ * @param {string} filter - Filter text, empty for no filter
+ * @returns {object} {test: function(name), error}; test is null for an empty filter
+ */
+function compileNameFilter(filter) {
+    var text = String(filter || '').trim();
+    if (!text) {
+        return { test: null, error: '' };
+    }
+
+    var regexMatch = text.match(/^\/(.+)\/([gimsuy]*)$/);
+    if (regexMatch) {
+        try {
+            var regex = new RegExp(regexMatch[1], regexMatch[2].replace('g', ''));
+            return { test: function (name) { return regex.test(name); }, error: '' };
+        } catch (e) {
+            return { test: null, error: 'Invalid regex ' + text + ': ' + e.message };
+        }
+    }
+
+    var globs = text.split(',').map(function (glob) {
+        return glob.trim();
+    }).filter(function (glob) {
+        return !!glob;
+    }).map(function (glob) {
+        var source = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+        return new RegExp('^' + source + '$', 'i');
+    });
+
+    return {
+        test: function (name) {
+            return globs.some(function (glob) {
+                return glob.test(name);
+            });
+        },
+        error: ''
+    };
+}
+
+/**
+ * Apply the name and label filters to the sequences of a bin
+ * @param {Array} sequences - Sequences from ExportButton_getBinSequences
+ * @param {object} options - {include, exclude, labels} from readBinExportOptions
+ * @returns {object} {items: [{sequence, included, reason}], errors}
+ */
+function filterBinSequences(sequences, options) {
+    var include = compileNameFilter(options.include);
+    var exclude = compileNameFilter(options.exclude);
+    var labels = options.labels || [];
+    var errors = [include.error, exclude.error].filter(function (error) {
+        return !!error;
+    });
+
+    var items = sequences.map(function (sequence) {
+        var reason = '';
+        if (include.test && !include.test(sequence.name)) {
+            reason = 'Not in include filter';
+        } else if (exclude.test && exclude.test(sequence.name)) {
+            reason = 'Excluded by name';
+        } else if (labels.length > 0 && labels.indexOf(sequence.label) === -1) {
+            reason = 'Label ' + (SEQUENCE_LABEL_COLORS[sequence.label] || 'unknown');
+        }
+        if (!reason && errors.length > 0) {
+            reason = 'Invalid filter';
+        }
+        return { sequence: sequence, included: !reason, reason: reason };
+    });
+
+    return { items: items, errors: errors };
+}
+
+/**
+ * Show which sequences of the bin would be exported, and why the others are left out
+ */
+function renderBinExportList() {
+    var listEl = document.getElementById('bin-export-list');
+    var filtered = filterBinSequences(binExportSequences, readBinExportOptions());
+    var includedCount = 0;
+
+    listEl.innerHTML = '';
+    filtered.items.forEach(function (item) {
+        var row = document.createElement('div');
+        row.className = 'bin-export-entry' + (item.included ? '' : ' bin-export-excluded');
+
+        var nameEl = document.createElement('span');
+        nameEl.className = 'bin-export-name';
+        nameEl.textContent = item.sequence.name;
+        nameEl.title = item.sequence.binPath ? item.sequence.binPath + '/' + item.sequence.name : item.sequence.name;
+
+        var stateEl = document.createElement('span');
+        stateEl.className = 'bin-export-state';
+        stateEl.textContent = item.included ? (SEQUENCE_LABEL_COLORS[item.sequence.label] || '') : item.reason;
+
+        row.appendChild(nameEl);
+        row.appendChild(stateEl);
+        listEl.appendChild(row);
+
+        if (item.included) {
+            includedCount++;
+        }
+    });
+
+    var runBtn = document.getElementById('bin-export-run');
+    runBtn.disabled = includedCount === 0;
+    runBtn.textContent = 'Export ' + includedCount + ' sequence' + (includedCount === 1 ? '' : 's');
+
+    if (filtered.errors.length > 0) {
+        setBinExportSummary(filtered.errors.join('\n'), true);
+    } else {
+        setBinExportSummary(includedCount + ' of ' + binExportSequences.length + ' sequences will be exported', false);
+    }
+}
+
+/**
+ * Show a line under the bin export list
+ * @param {string} message - Text to show
+ * @param {boolean} isError - Whether the text describes a problem
+ */
+function setBinExportSummary(message, isError) {
+    var summaryEl = document.getElementById('bin-export-summary');
+    summaryEl.textContent = message;
+    summaryEl.classList.toggle('invalid', isError === true);
+}
+
+/**
+ * Export the sequences left in the dry-run list through the normal batch export
+ */
+function runBinExport() {
+    var options = readBinExportOptions();
+    var sequences = filterBinSequences(binExportSequences, options).items.filter(function (item) {
+        return item.included;
+    }).map(function (item) {
+        return { name: item.sequence.name, nodeId: item.sequence.nodeId };
+    });
+
+    if (sequences.length === 0) return;
+    if (directExportQueue) {
+        setStatus('Premiere Direct queue is running', 'warning');
+        return;
+    }
+
+    Persistence.setObject(STORAGE_KEYS.BIN_EXPORT, options);
+    closeBinExportModal();
+
+    debugLog('Bin export: ' + sequences.length + ' sequences from ' + (options.binPath || 'the whole project'), 'info');
+    setStatus('Batch: ' + sequences.length + ' sequences', 'warning');
+    syncProjectSettings(function () {
+        var profile = getActiveProfile();
+        if (profile.premiereDirect === true && profile.useDeliverables !== true) {
+            handleDirectBatchExport(sequences);
+        } else {
+            handleBatchExport(sequences);
+        }
+    });
+}
+
+/**
+ * Open the overrides of the active sequence
+ */
+function openSequenceOverridesModal() {
+    getSequenceNamingInfo('', '', function (sequenceInfo) {
+        if (!sequenceInfo.id) {
+            setStatus('No active sequence', 'error');
+            return;
+        }
+
+        var overrides = sequenceInfo.overrides || {};
+        var profileSelect = document.getElementById('override-profile');
+        profileSelect.innerHTML = '';
+        var activeOption = document.createElement('option');
+        activeOption.value = '';
+        activeOption.textContent = '(Active profile)';
+        profileSelect.appendChild(activeOption);
+        Persistence.getProfiles().forEach(function (profile) {
+            var option = document.createElement('option');
+            option.value = profile.name;
+            option.textContent = profile.name;
+            profileSelect.appendChild(option);
+        });
+
+        sequenceOverridesTarget = { id: sequenceInfo.id, name: sequenceInfo.name };
+        document.getElementById('sequence-overrides-name').textContent = sequenceInfo.name;
+        profileSelect.value = overrides.profileName || '';
+        document.getElementById('override-video-preset').value = overrides.videoPreset || '';
+        document.getElementById('override-audio-preset').value = overrides.audioPreset || '';
+        document.getElementById('override-pattern').value = overrides.suffixPattern || '';
+        document.getElementById('override-folder').value = overrides.exportFolder || '';
+        document.getElementById('override-inout').value = typeof overrides.inoutExport === 'boolean' ? (overrides.inoutExport ? 'inout' : 'whole') : '';
+        setSequenceOverridesError('');
+        document.getElementById('sequence-overrides-modal').classList.add('show');
+    });
+}
+
+/**
+ * Close the sequence overrides modal
+ */
+function closeSequenceOverridesModal() {
+    document.getElementById('sequence-overrides-modal').classList.remove('show');
+}
+
+/**
+ * Read the overrides form, leaving out empty fields
+ * @returns {object} Overrides object, empty when nothing is pinned
+ */
+function readSequenceOverridesForm() {
+    var overrides = {};
+    var inout = document.getElementById('override-inout').value;
+    var values = {
+        profileName: document.getElementById('override-profile').value,
+        videoPreset: document.getElementById('override-video-preset').value.trim(),
+        audioPreset: document.getElementById('override-audio-preset').value.trim(),
+        suffixPattern: document.getElementById('override-pattern').value.trim(),
+        exportFolder: document.getElementById('override-folder').value.trim()
+    };
+
+    Object.keys(values).forEach(function (field) {
+        if (values[field]) {
+            overrides[field] = values[field];
+        }
+    });
+    if (inout) {
+        overrides.inoutExport = inout === 'inout';
+    }
+    return overrides;
+}
+
+/**
+ * Show a problem of the overrides form
+ * @param {string} message - Error message, empty to clear it
+ */
+function setSequenceOverridesError(message) {
+    var errorEl = document.getElementById('sequence-overrides-error');
+    errorEl.textContent = message;
+    errorEl.classList.toggle('invalid', !!message);
+}
+
+/**
+ * Write the overrides of the form to the sequence, or remove them
+ * @param {boolean} clear - Whether to remove every override of the sequence
+ */
+function saveSequenceOverrides(clear) {
+    if (!sequenceOverridesTarget) return;
+
+    var overrides = clear ? {} : readSequenceOverridesForm();
+    var errors = []
+        .concat(overrides.suffixPattern ? validateNamingPattern(overrides.suffixPattern) : [])
+        .concat(overrides.exportFolder ? validateFolderTemplate(overrides.exportFolder) : []);
+    if (errors.length > 0) {
+        setSequenceOverridesError(errors.join(' · '));
+        return;
+    }
+
+    var json = Object.keys(overrides).length > 0 ? JSON.stringify(overrides) : '';
+    var target = sequenceOverridesTarget;
+    var script = "ExportButton_setSequenceOverrides('" + target.id.replace(/\\/g, '\\\\').replace(/'/g, "\\'") + "', '" +
+        json.replace(/\\/g, '\\\\').replace(/'/g, "\\'") + "')";
+
+    csInterface.evalScript(script, function (result) {
+        var info;
+        try {
+            info = JSON.parse(result);
+        } catch (e) {
+            info = { success: false, error: 'Error: ' + e.message };
+        }
+        if (!info.success) {
+            setSequenceOverridesError(info.error || 'Could not save the overrides');
+            return;
+        }
+
+        closeSequenceOverridesModal();
+        setStatus(json ? 'Overrides saved to ' + target.name : 'Overrides removed from ' + target.name, 'success');
+        debugLog('Sequence overrides of ' + target.name + ': ' + (json || 'none'), 'info');
+    });
+}
+
+/**
+ * Start the report of a batch
+ * @param {string} mode - 'ame' or 'premiere', used to retry failed items the same way
+ * @returns {object} Report {mode, startedAt, rows}
+ */
+function createBatchReport(mode) {
+    return {
+        mode: mode,
+        startedAt: new Date().toISOString(),
+        rows: []
+    };
+}
+
+/**
+ * Show the report of a finished batch and keep it for the Report button
+ * @param {object} report - Report from createBatchReport
+ */
+function finishBatchReport(report) {
+    if (report.rows.length === 0) return;
+
+    lastBatchReport = report;
+    document.body.classList.add('has-batch-report');
+    openBatchReportModal();
+}
+
+/**
+ * Get the current result of a report row; AME jobs keep updating after the batch is queued
+ * @param {object} row - Report row {sequence, outputPath, result, error, jobID}
+ * @returns {object} {result, error}
+ */
+function getBatchReportRowState(row) {
+    var jobStates = { error: 'failed', rendering: 'rendering', pending: 'pending', encoding: 'encoding' };
+    for (var i = 0; row.jobID && i < exportJobs.length; i++) {
+        if (exportJobs[i].jobID === String(row.jobID)) {
+            return {
+                result: jobStates[exportJobs[i].state] || exportJobs[i].state,
+                error: exportJobs[i].error || row.error || ''
+            };
+        }
+    }
+    return { result: row.result, error: row.error || '' };
+}
+
+/**
+ * Open the batch report modal
+ */
+function openBatchReportModal() {
+    if (!lastBatchReport) return;
+
+    renderBatchReport();
+    document.getElementById('batch-report-modal').classList.add('show');
+}
+
+/**
+ * Close the batch report modal
+ */
+function closeBatchReportModal() {
+    document.getElementById('batch-report-modal').classList.remove('show');
+}
+
+/**
+ * Redraw the table of the last batch report
+ */
+function renderBatchReport() {
+    var tableBody = document.getElementById('batch-report-rows');
+    var counts = {};
+    var failedCount = 0;
+
+    tableBody.innerHTML = '';
+    lastBatchReport.rows.forEach(function (row) {
+        var state = getBatchReportRowState(row);
+        counts[state.result] = (counts[state.result] || 0) + 1;
+        if (state.result === 'failed') {
+            failedCount++;
+        }
+
+        var rowEl = document.createElement('tr');
+        rowEl.className = 'batch-report-' + state.result;
+
+        var sequenceCell = document.createElement('td');
+        sequenceCell.textContent = row.sequence;
+
+        var outputCell = document.createElement('td');
+        outputCell.textContent = row.outputPath ? row.outputPath.split(/[/\\]/).pop() : '-';
+        outputCell.title = row.outputPath || '';
+
+        var resultCell = document.createElement('td');
+        resultCell.className = 'batch-report-result';
+        resultCell.textContent = state.result;
+        if (state.error) {
+            var errorEl = document.createElement('div');
+            errorEl.className = 'batch-report-error';
+            errorEl.textContent = state.error;
+            resultCell.appendChild(errorEl);
+        }
+
+        rowEl.appendChild(sequenceCell);
+        rowEl.appendChild(outputCell);
+        rowEl.appendChild(resultCell);
+        tableBody.appendChild(rowEl);
+    });
+
+    document.getElementById('batch-report-counts').textContent = Object.keys(counts).map(function (result) {
+        return counts[result] + ' ' + result;
+    }).join(', ');
+
+    var retryBtn = document.getElementById('batch-report-retry');
+    retryBtn.disabled = failedCount === 0;
+    retryBtn.textContent = 'Retry Failed (' + failedCount + ')';
+}
+
+/**
+ * Queue the sequences of the last report that failed again, through the same export mode
+ */
+function retryFailedBatchItems() {
+    var sequences = [];
+    var keys = [];
+    lastBatchReport.rows.forEach(function (row) {
+        // Sequences with the same name in different bins are retried separately
+        var key = row.nodeId || row.sequence;
+        if (getBatchReportRowState(row).result === 'failed' && keys.indexOf(key) === -1) {
+            keys.push(key);
+            sequences.push({ name: row.sequence, nodeId: row.nodeId || '' });
+        }
+    });
+
+    if (sequences.length === 0) return;
+    if (directExportQueue) {
+        setStatus('Premiere Direct queue is running', 'warning');
+        return;
+    }
+
+    closeBatchReportModal();
+    debugLog('Retrying ' + sequences.length + ' failed sequences', 'info');
+    var mode = lastBatchReport.mode;
+    syncProjectSettings(function () {
+        if (mode === 'premiere') {
+            handleDirectBatchExport(sequences);
+        } else {
+            handleBatchExport(sequences);
+        }
+    });
+}
+
+/**
+ * Get the folder the batch report is saved to: the deepest folder shared by all outputs
+ * @param {object} report - Batch report
+ * @returns {string} Folder path, empty when no output path is known
+ */
+function getBatchReportFolder(report) {
+    var folders = report.rows.filter(function (row) {
+        return !!row.outputPath;
+    }).map(function (row) {
+        return path.dirname(row.outputPath);
+    });
+    if (folders.length === 0) {
+        return '';
+    }
+
+    var common = folders[0].split(/[/\\]/);
+    folders.forEach(function (folder) {
+        var parts = folder.split(/[/\\]/);
+        var length = 0;
+        while (length < common.length && length < parts.length && common[length] === parts[length]) {
+            length++;
+        }
+        common = common.slice(0, length);
+    });
+
+    // Outputs on different drives or volumes share nothing useful, so use the first folder
+    var sep = folders[0].indexOf('\\') !== -1 ? '\\' : '/';
+    var commonFolder = common.join(sep);
+    return common.length > 1 && commonFolder ? commonFolder : folders[0];
+}
+
+/**
+ * Write the last batch report as CSV or JSON next to the exports
+ * @param {string} format - 'csv' or 'json'
+ */
+function saveBatchReport(format) {
+    var folderPath = getBatchReportFolder(lastBatchReport);
+    if (!folderPath) {
+        setStatus('No export folder to save the report to', 'error');
+        return;
+    }
+
+    var rows = lastBatchReport.rows.map(function (row) {
+        var state = getBatchReportRowState(row);
+        return {
+            sequence: row.sequence,
+            outputPath: row.outputPath || '',
+            result: state.result,
+            error: state.error
+        };
+    });
+
+    var content;
+    if (format === 'json') {
+        content = JSON.stringify({
+            mode: lastBatchReport.mode,
+            startedAt: lastBatchReport.startedAt,
+            rows: rows
+        }, null, 2);
+    } else {
+        // Quote every field so commas and quotes in names survive spreadsheet imports
+        var quote = function (value) {
+            return '"' + String(value).replace(/"/g, '""') + '"';
+        };
+        content = ['Sequence,Output,Result,Error'].concat(rows.map(function (row) {
+            return [row.sequence, row.outputPath, row.result, row.error].map(quote).join(',');
+        })).join('\r\n') + '\r\n';
+    }
+
+    var reportPath = joinOutputPath(folderPath, 'BatchReport_' + formatDateTime('YYYY-MM-DD_HH-mm-ss', new Date(lastBatchReport.startedAt), false) + '.' + format);
+    try {
+        ensureOutputFolder(folderPath);
+        fs.writeFileSync(reportPath, content, 'utf8');
+        setStatus('Report saved: ' + reportPath.split(/[/\\]/).pop(), 'success');
+        debugLog('Batch report saved: ' + reportPath, 'success');
+    } catch (e) {
+        setStatus('Could not save report', 'error');
+        debugLog('Batch report save failed: ' + e.message, 'error');
+    }
+}
+
+/**
+ * Show an exported file in Finder or Explorer, or its folder when the file is gone
+ * @param {string} filePath - Exported file path
+ */
+function revealInFileBrowser(filePath) {
+    var childProcess = require('child_process');
+    var folderPath = path.dirname(filePath || '');
+    var fileExists = !!filePath && fs.existsSync(filePath);
+    var onDone = function (error) {
+        if (error) {
+            debugLog('Reveal failed: ' + error.message, 'error');
+        }
+    };
+
+    if (!fileExists && !fs.existsSync(folderPath)) {
+        setStatus('Export folder not found', 'error');
+        return;
+    }
+
+    if (os.platform() === 'darwin') {
+        childProcess.execFile('open', fileExists ? ['-R', filePath] : [folderPath], onDone);
+    } else {
+        // Explorer returns a non-zero exit code even on success, so its errors are not reported
+        childProcess.execFile('explorer', fileExists ? ['/select,' + filePath] : [folderPath], function () {});
+    }
+}
+
+/**
+ * Get the In/Out range stored with a history entry
+ * @param {object} entry - History entry
+ * @returns {object|null} {inPoint, outPoint} in seconds, null when none was recorded
+ */
+function getRecordedRange(entry) {
+    var range = entry.range;
+    if (!range) {
+        return null;
+    }
+
+    var inPoint = parseFloat(range.inPoint);
+    var outPoint = parseFloat(range.outPoint);
+    if (!isFinite(inPoint) || !isFinite(outPoint) || inPoint < 0 || outPoint <= inPoint) {
+        return null;
+    }
+    return { inPoint: inPoint, outPoint: outPoint };
+}
+
+/**
+ * Run a recorded export again with the same sequence, preset, output path, mode and range
+ * An output that still exists goes through the collision policy of the active profile
+ * @param {object} entry - History entry
+ */
+function reExportFromHistory(entry) {
+    if (!entry || !entry.sequence || !entry.outputPath || !entry.preset) {
+        setStatus('This history entry has no sequence, preset or output to re-export', 'error');
+        debugLog('Re-export not started: incomplete history entry ' + (entry && entry.id), 'error');
+        return;
+    }
+
+    var presetProblem = checkPreset(entry.preset, '');
+    if (presetProblem) {
+        setStatus(presetProblem, 'error');
+        debugLog('Re-export not started: ' + presetProblem, 'error');
+        return;
+    }
+    var presetWarning = getPresetWarning(entry.preset);
+    if (presetWarning) {
+        debugLog(presetWarning, 'warning');
+    }
+
+    var profile = getActiveProfile();
+    var panelPresetExists = panelCanAccessPreset(entry.preset);
+    var escapedPreset = entry.preset.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+    var escapedSeqName = entry.sequence.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+    var escapedNodeId = String(entry.nodeId || '').replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+    var useInOut = entry.inOut === true;
+
+    // Replay the recorded In/Out range, not the marks the sequence has now
+    var range = useInOut ? getRecordedRange(entry) : null;
+    var escapedRange = range ? JSON.stringify(range) : '';
+    if (useInOut && !range) {
+        debugLog('No In/Out range recorded for ' + entry.sequence + ', using its current In/Out', 'warning');
+    }
+
+    // The previous file is usually still there, so the profile decides what happens to it
+    resolveOutputCollision(entry.outputPath, profile.collisionPolicy, function (outputPath) {
+        if (!outputPath) {
+            setStatus('Skipped: ' + entry.outputPath.split(/[/\\]/).pop() + ' already exists', 'warning');
+            return;
+        }
+        ensureOutputFolder(path.dirname(outputPath));
+        sendReExport(outputPath);
+    });
+
+    function sendReExport(outputPath) {
+        var escapedOutput = outputPath.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+
+        setStatus('Re-exporting ' + entry.sequence + '...', 'warning');
+        debugLog('Re-export from history: ' + outputPath, 'info');
+
+        function recordResult(exportResult) {
+            var historyId = recordExportHistory({
+                sequence: entry.sequence,
+                nodeId: entry.nodeId,
+                preset: entry.preset,
+                outputPath: outputPath,
+                version: entry.version,
+                mode: entry.mode,
+                inOut: useInOut,
+                range: range || undefined,
+                result: !exportResult.success ? 'failed' : entry.mode === 'premiere' ? 'complete' : 'queued',
+                error: exportResult.success ? undefined : exportResult.error
+            });
+
+            if (exportResult.success) {
+                setStatus(outputPath.split(/[/\\]/).pop() + ' started!', 'success');
+                if (entry.mode !== 'premiere') {
+                    trackExportJob(exportResult.jobID, outputPath, historyId);
+                }
+            } else {
+                setStatus(exportResult.error || 'Export failed', 'error');
+                debugLog('Re-export failed: ' + exportResult.error, 'error');
+            }
+        }
+
+        if (entry.mode === 'premiere') {
+            // exportAsMediaDirect only renders the active sequence
+            csInterface.evalScript('ExportButton_getActiveSequence()', function (result) {
+                try {
+                    var seqInfo = JSON.parse(result);
+                    if (!seqInfo.success || seqInfo.name !== entry.sequence || (entry.nodeId && seqInfo.nodeId !== entry.nodeId)) {
+                        setStatus('Open ' + entry.sequence + ' to re-export it directly', 'error');
+                        return;
+                    }
+
+                    var script = "ExportButton_exportDirectInPremiere('" + escapedOutput + "', '" + escapedPreset + "', " + useInOut + ", " + panelPresetExists + ", '" + escapedRange + "')";
+                    csInterface.evalScript(script, function (exportResult) {
+                        try {
+                            recordResult(JSON.parse(exportResult));
+                        } catch (e) {
+                            setStatus('Error: ' + e.message, 'error');
+                        }
+                    });
+                } catch (e) {
+                    setStatus('Error: ' + e.message, 'error');
+                }
+            });
+            return;
+        }
+
+        var script = "ExportButton_exportSequenceByName('" + escapedSeqName + "', '" + escapedOutput + "', '" + escapedPreset + "', " + panelPresetExists + ", " + useInOut + ", '" + escapedRange + "', '" + escapedNodeId + "')";
+        csInterface.evalScript(script, function (exportResult) {
+            try {
+                var exportInfo = JSON.parse(exportResult);
+                recordResult(exportInfo);
+                if (exportInfo.success) {
+                    startAMEQueueForProfile(profile, function () { });
+                }
+            } catch (e) {
+                setStatus('Error: ' + e.message, 'error');
+            }
+        });
+    }
+}
+
+/**
+ * Setup all event listeners
+ */
+function setupEventListeners() {
+    // Export button
+    document.getElementById('export-btn').addEventListener('click', handleExport);
+
+    // Download checkbox
+    document.getElementById('download-checkbox').addEventListener('change', function () {
+        Persistence.set(STORAGE_KEYS.DOWNLOAD_ENABLED, this.checked);
+    });
+
+    // Profile picker next to the export button
+    document.getElementById('profile-picker').addEventListener('change', function () {
+        Persistence.set(STORAGE_KEYS.ACTIVE_PROFILE, this.value);
+        resetProfileDraft();
+        setStatus('Profile: ' + getActiveProfile().name, 'success');
+        reportPresetHealth();
+    });
+
+    // Profile management in the settings modal
+    document.getElementById('profile-select').addEventListener('change', function () {
+        selectDraftProfile(this.value);
+    });
+    document.getElementById('profile-new').addEventListener('click', addDraftProfile);
+    document.getElementById('profile-duplicate').addEventListener('click', duplicateDraftProfile);
+    document.getElementById('profile-delete').addEventListener('click', deleteDraftProfile);
+    document.getElementById('project-save').addEventListener('click', saveSettingsToProject);
+    document.getElementById('project-detach').addEventListener('click', toggleProjectDetached);
+    document.getElementById('settings-export').addEventListener('click', exportSettingsBundle);
+    document.getElementById('settings-import').addEventListener('click', importSettingsBundle);
+
+    // Filename preview follows the pattern as it is typed and any other profile change
+    document.getElementById('suffix-pattern').addEventListener('input', updateNamingPreview);
+    document.getElementById('settings-modal').addEventListener('change', updateNamingPreview);
+
+    // Version numbering
+    document.getElementById('version-scope').addEventListener('change', refreshNextVersion);
+    document.getElementById('next-version-set').addEventListener('click', function () {
+        applyNextVersion(false);
+    });
+    document.getElementById('next-version-bump').addEventListener('click', function () {
+        applyNextVersion(true);
+    });
+
+    // Existing output file prompt
+    document.getElementById('collision-increment').addEventListener('click', function () {
+        answerCollisionPrompt('increment');
+    });
+    document.getElementById('collision-overwrite').addEventListener('click', function () {
+        answerCollisionPrompt('overwrite');
+    });
+    document.getElementById('collision-skip').addEventListener('click', function () {
+        answerCollisionPrompt('skip');
+    });
+
+    // Deliverable set rows
+    document.getElementById('add-deliverable').addEventListener('click', function () {
+        var rows = readDeliverableRows();
+        rows.push({ presetPath: '', subfolder: '' });
+        renderDeliverableRows(rows);
+    });
+
+    // Settings button
+    document.getElementById('settings-btn').addEventListener('click', function () {
+        openSettingsModal();
+    });
+
+    // History button and modal
+    document.getElementById('history-btn').addEventListener('click', openHistoryModal);
+    document.getElementById('close-history').addEventListener('click', closeHistoryModal);
+    document.getElementById('history-modal').addEventListener('click', function (e) {
+        if (e.target === this) {
+            closeHistoryModal();
+        }
+    });
+
+    // Batch report modal
+    document.getElementById('show-batch-report').addEventListener('click', openBatchReportModal);
+    document.getElementById('close-batch-report').addEventListener('click', closeBatchReportModal);
+    document.getElementById('batch-report-retry').addEventListener('click', retryFailedBatchItems);
+    document.getElementById('batch-report-csv').addEventListener('click', function () {
+        saveBatchReport('csv');
+    });
+    document.getElementById('batch-report-json').addEventListener('click', function () {
+        saveBatchReport('json');
+    });
+    document.getElementById('batch-report-modal').addEventListener('click', function (e) {
+        if (e.target === this) {
+            closeBatchReportModal();
+        }
+    });
+
+    // Bin export button and modal
+    document.getElementById('bin-export-btn').addEventListener('click', openBinExportModal);
+    document.getElementById('close-bin-export').addEventListener('click', closeBinExportModal);
+    document.getElementById('bin-export-bin').addEventListener('change', loadBinExportSequences);
+    document.getElementById('bin-export-recursive').addEventListener('change', loadBinExportSequences);
+    document.getElementById('bin-export-include').addEventListener('input', renderBinExportList);
+    document.getElementById('bin-export-exclude').addEventListener('input', renderBinExportList);
+    document.getElementById('bin-export-labels').addEventListener('change', renderBinExportList);
+    document.getElementById('bin-export-run').addEventListener('click', runBinExport);
+    document.getElementById('bin-export-modal').addEventListener('click', function (e) {
+        if (e.target === this) {
+            closeBinExportModal();
+        }
+    });
+
+    // Sequence overrides button and modal
+    document.getElementById('sequence-overrides-btn').addEventListener('click', openSequenceOverridesModal);
+    document.getElementById('close-sequence-overrides').addEventListener('click', closeSequenceOverridesModal);
+    document.getElementById('sequence-overrides-save').addEventListener('click', function () {
+        saveSequenceOverrides(false);
+    });
+    document.getElementById('sequence-overrides-clear').addEventListener('click', function () {
+        saveSequenceOverrides(true);
+    });
+    document.getElementById('sequence-overrides-modal').addEventListener('click', function (e) {
+        if (e.target === this) {
+            closeSequenceOverridesModal();
+        }
+    });
+
+    // Preset browser modal
+    document.getElementById('close-preset-browser').addEventListener('click', closePresetBrowser);
+    document.getElementById('preset-browser-search').addEventListener('input', renderPresetBrowser);
+    document.getElementById('preset-browser-kind').addEventListener('change', renderPresetBrowser);
+    document.getElementById('preset-browser-rescan').addEventListener('click', function () {
+        setPresetBrowserSummary('Looking for presets...');
+        PresetLibrary.load(true, renderPresetBrowser);
+    });
+    document.getElementById('preset-browser-file').addEventListener('click', function () {
+        var targetId = presetBrowserTarget;
+        closePresetBrowser();
+        browseForFile(targetId, false);
+    });
+    document.getElementById('preset-browser-modal').addEventListener('click', function (e) {
+        if (e.target === this) {
+            closePresetBrowser();
+        }
+    });
+
+    // Fix-it link of the preset health check
+    document.getElementById('preset-health-fix').addEventListener('click', function (e) {
+        e.preventDefault();
+        openSettingsModal(presetHealthProblems.length > 0 ? presetHealthProblems[0].field : '');
+    });
+
+    // Close modal button
+    document.getElementById('close-modal').addEventListener('click', closeSettingsModal);
+
+    // Save settings button
+    document.getElementById('save-settings').addEventListener('click', saveSettings);
+
+    // Browse buttons
+    document.querySelectorAll('.browse-btn[data-target]').forEach(function (btn) {
+        btn.addEventListener('click', function () {
+            var targetId = this.getAttribute('data-target');
+            browseForPreset(targetId);
+        });
+    });
+
+    // Close modal on outside click
+    document.getElementById('settings-modal').addEventListener('click', function (e) {
+        if (e.target === this) {
+            closeSettingsModal();
+        }
+    });
+
+    // Keyboard shortcut for escape
+    document.addEventListener('keydown', function (e) {
+        if (e.key === 'Escape') {
+            closeSettingsModal();
+            closeHistoryModal();
+            closeBinExportModal();
+            closeSequenceOverridesModal();
+            closeBatchReportModal();
+            if (collisionPrompts.length > 0) {
+                answerCollisionPrompt('skip');
+            }
+        }
+    });
+
+
+    // Clear finished AME jobs
+    document.getElementById('clear-jobs').addEventListener('click', clearFinishedExportJobs);
+    document.getElementById('cancel-direct-queue').addEventListener('click', cancelDirectExportQueue);
+    document.getElementById('start-ame-queue').addEventListener('click', startAMEQueue);
+
+    // Clear log button
+    document.getElementById('clear-log').addEventListener('click', function () {
+        document.getElementById('debug-log').innerHTML = '';
+        debugLog('Log cleared', 'info');
+    });
+
+    // Copy log button - use execCommand as clipboard API doesn't work in CEP
+    document.getElementById('copy-log').addEventListener('click', function () {
+        var logEl = document.getElementById('debug-log');
+        var logText = logEl.innerText || logEl.textContent;
+
+        // Create textarea, copy, and remove
+        var textarea = document.createElement('textarea');
+        textarea.value = logText;
+        textarea.style.position = 'fixed';
+        textarea.style.left = '-9999px';
+        document.body.appendChild(textarea);
+        textarea.select();
+
+        try {
+            document.execCommand('copy');
+            debugLog('Log copied!', 'success');
+        } catch (err) {
+            debugLog('Copy failed: ' + err, 'error');
+        }
+
+        document.body.removeChild(textarea);
+    });
+
+}
+
+/**
+ * Apply the saved debug log preference through a body class.
+ */
+function syncDebugPanelVisibility() {
+    var shouldHide = (Persistence.get(STORAGE_KEYS.HIDE_DEBUG_LOG) !== false);
+
+    // Keep preference-driven log visibility separate from responsive compact mode.
+    document.body.classList.toggle('hide-debug-log', shouldHide);
+
+    // Re-evaluate compact mode because the visible height requirement changes with the log.
+    if (document.body.hasAttribute('data-layout')) {
+        applyResponsivePanelLayout();
+    }
+}
+
+/**
+ * Resolve which panel layout fits the current dimensions best.
+ * @param {number} width - Available panel width
+ * @param {number} height - Available panel height
+ * @returns {string} full or compact
+ */
+function getResponsivePanelLayout(width, height) {
+    var fullMinWidth = 112;
+    var fullMinHeight = 136;
+    var tallNarrowMinWidth = 142;
+    var isTallNarrow = height >= width * 1.25;
+
+    // Tall narrow panels need compact mode so the button can shrink laterally.
+    if (isTallNarrow && width < tallNarrowMinWidth) {
+        return 'compact';
+    }
+
+    // Full mode should depend on usable space, not on a near-square panel ratio.
+    return width >= fullMinWidth && height >= fullMinHeight ? 'full' : 'compact';
+}
+
+/**
+ * Clamp a responsive size into a safe visual range.
+ * @param {number} value - Preferred size
+ * @param {number} minSize - Minimum size
+ * @param {number} maxSize - Maximum size
+ * @returns {number} Clamped compact size
+ */
+function clampResponsiveSize(value, minSize, maxSize) {
+    return Math.max(minSize, Math.min(maxSize, value));
+}
+
+/**
+ * Keep CEP viewport measurements on the visible side when clientWidth and innerWidth disagree.
+ * @param {...number} sizes - Candidate viewport sizes
+ * @returns {number} Smallest non-zero size
+ */
+function getSafeViewportDimension() {
+    var safeSize = 0;
+
+    for (var i = 0; i < arguments.length; i++) {
+        var size = arguments[i];
+        if (size > 0) {
+            safeSize = safeSize > 0 ? Math.min(safeSize, size) : size;
+        }
+    }
+
+    return safeSize;
+}
+
+/**
+ * Measure the usable content box of an element without its padding.
+ * @param {HTMLElement} element - Element to measure
+ * @param {number} fallbackWidth - Width fallback
+ * @param {number} fallbackHeight - Height fallback
+ * @returns {{width:number,height:number}} Content box size
+ */
+function getElementContentBoxSize(element, fallbackWidth, fallbackHeight) {
+    if (!element) {
+        return {
+            width: fallbackWidth,
+            height: fallbackHeight
+        };
+    }
+
+    var computedStyle = window.getComputedStyle(element);
+    var horizontalPadding = (parseFloat(computedStyle.paddingLeft) || 0) + (parseFloat(computedStyle.paddingRight) || 0);
+    var verticalPadding = (parseFloat(computedStyle.paddingTop) || 0) + (parseFloat(computedStyle.paddingBottom) || 0);
+    var rect = typeof element.getBoundingClientRect === 'function' ? element.getBoundingClientRect() : null;
+    var measuredWidth = element.clientWidth || fallbackWidth;
+    var measuredHeight = element.clientHeight || fallbackHeight;
+
+    // CEP can over-report viewport sizes, so keep the smallest positive DOM measurement.
+    if (rect && rect.width > 0) {
+        measuredWidth = Math.min(measuredWidth, rect.width);
+    }
+    if (rect && rect.height > 0) {
+        measuredHeight = Math.min(measuredHeight, rect.height);
+    }
+
+    // CEP reports client sizes with padding included, so remove it to get the real button area.
+    return {
+        width: Math.max(0, measuredWidth - horizontalPadding),
+        height: Math.max(0, measuredHeight - verticalPadding)
+    };
+}
+
+/**
+ * Apply the responsive layout classes to the panel.
+ */
+function applyResponsivePanelLayout() {
+    var panelWidth = getSafeViewportDimension(document.documentElement.clientWidth || 0, window.innerWidth || 0, window.outerWidth || 0);
+    var panelHeight = getSafeViewportDimension(document.documentElement.clientHeight || 0, window.innerHeight || 0, window.outerHeight || 0);
+    var nextLayout = getResponsivePanelLayout(panelWidth, panelHeight);
+    var isCompact = nextLayout === 'compact';
+    var hideDebugForSize = !isCompact && !document.body.classList.contains('hide-debug-log') && panelHeight < 260;
+    var compactControlsBelow = false;
+    var mainContainer = document.getElementById('main-container');
+    var contentBoxSize;
+    var contentWidth;
+    var contentHeight;
+    var buttonWidth = 64;
+    var buttonHeight = 64;
+    var iconSize = 32;
+
+    // Apply layout classes first so padding and hidden debug state are reflected in measurements.
+    document.body.setAttribute('data-layout', nextLayout);
+    document.body.classList.toggle('layout-compact', isCompact);
+    document.body.classList.toggle('layout-hide-debug-for-size', hideDebugForSize);
+
+    contentBoxSize = getElementContentBoxSize(mainContainer, panelWidth, panelHeight);
+    contentWidth = contentBoxSize.width;
+    contentHeight = contentBoxSize.height;
+    compactControlsBelow = isCompact && (contentWidth < 118 || panelHeight >= panelWidth * 1.25);
+    document.body.setAttribute('data-compact-controls', compactControlsBelow ? 'below' : 'side');
+
+    if (isCompact) {
+        // Compact mode stacks controls below when the checkbox would force lateral overflow.
+        var reservedWidth = compactControlsBelow ? Math.max(18, Math.round(contentWidth * 0.18)) : 28;
+        var reservedHeight = compactControlsBelow ? 28 : 14;
+        var availableButtonWidth = Math.max(24, contentWidth - reservedWidth);
+        var availableButtonHeight = Math.max(24, contentHeight - reservedHeight);
+        buttonWidth = clampResponsiveSize(availableButtonWidth, Math.min(36, availableButtonWidth), availableButtonWidth);
+        buttonHeight = clampResponsiveSize(availableButtonHeight, Math.min(28, availableButtonHeight), availableButtonHeight);
+        iconSize = clampResponsiveSize(Math.min(buttonWidth, buttonHeight) * 0.48, 16, 34);
+    } else {
+        // Full mode appears as soon as the main controls fit, then scales the square button up.
+        var reservedHeight = hideDebugForSize ? 44 : 180;
+        var availableSquareSize = Math.min(contentWidth, Math.max(52, contentHeight - reservedHeight));
+        buttonWidth = clampResponsiveSize(availableSquareSize, 64, 128);
+        buttonHeight = buttonWidth;
+        iconSize = clampResponsiveSize(buttonWidth * 0.42, 24, 46);
+    }
+
+    // Store the final sizing values as CSS variables for the responsive layout rules.
+    document.body.style.setProperty('--export-button-width', buttonWidth + 'px');
+    document.body.style.setProperty('--export-button-height', buttonHeight + 'px');
+    document.body.style.setProperty('--export-icon-size', iconSize + 'px');
+}
+
+/**
+ * Watch the CEP panel size and keep the main controls usable.
+ */
+function setupResponsivePanelLayout() {
+    // Reuse the same layout calculation for both resize mechanisms.
+    var handleResize = function () {
+        applyResponsivePanelLayout();
+    };
+
+    window.addEventListener('resize', handleResize);
+
+    if (typeof ResizeObserver === 'function') {
+        if (panelLayoutObserver) {
+            panelLayoutObserver.disconnect();
+        }
+
+        panelLayoutObserver = new ResizeObserver(function () {
+            applyResponsivePanelLayout();
+        });
+        panelLayoutObserver.observe(document.documentElement);
+    }
+
+    handleResize();
+}
+
+/**
+ * Use the presets of the newest installed Media Encoder when a profile has none
+ */
+function loadDefaultPresets() {
+    var install = getAMESystemPresetFolders()[0];
+    var systemFolder = install ? install.folder : getAMESystemPresetFolder(DEFAULT_AME_VERSION);
+
+    defaultPresets.video = path.join(systemFolder, '58444341_4d584658', 'YouTube 1080p Full HD.epr');
+    defaultPresets.audio = path.join(systemFolder, '41494646_41494646', 'WAV 48kHz 16 bit.epr');
+
+    // Show the defaults used when a profile has no preset
+    document.getElementById('video-preset').placeholder = defaultPresets.video;
+    document.getElementById('audio-preset').placeholder = defaultPresets.audio;
+}
+
+/**
+ * Handle export button click
+ * First checks for selected sequences in Project panel (batch export)
+ * Falls back to active sequence if nothing selected
+ * Note: with Premiere Direct, selected sequences are exported one after another
+ */
+function handleExport() {
+    if (directExportQueue) {
+        setStatus('Premiere Direct queue is running', 'warning');
+        return;
+    }
+
+    setStatus('Checking...', 'warning');
+    debugLog('Export button clicked', 'info');
+    syncProjectSettings(exportSelectionOrActive);
+}
+
+/**
+ * Export the sequences selected in the Project panel, or the active sequence
+ */
+function exportSelectionOrActive() {
+    // Check if Premiere Direct export is enabled (deliverable sets always go to AME)
+    var profile = getActiveProfile();
+    var premiereDirect = profile.premiereDirect === true && profile.useDeliverables !== true;
+
+    // First, check if there are sequences selected in Project panel
+    debugLog('Checking for selected sequences...', 'info');
+
+    // Add timeout to prevent hanging on Windows
+    var selectionCallbackFired = false;
+    var selectionTimeout = setTimeout(function () {
+        if (!selectionCallbackFired) {
+            selectionCallbackFired = true;
+            debugLog('Selection check timed out - falling back to active sequence', 'warning');
+            handleSingleExport();
+        }
+    }, 3000); // 3 second timeout
+
+    csInterface.evalScript('ExportButton_getSelectedSequences()', function (result) {
+        // Cancel timeout and mark callback as fired
+        clearTimeout(selectionTimeout);
+        if (selectionCallbackFired) {
+            // Timeout already fired, ignore this late callback
+            return;
+        }
+        selectionCallbackFired = true;
+
+        debugLog('getSelectedSequences result: ' + result, 'info');
+
+        try {
+            var selectionInfo = JSON.parse(result);
+
+            if (selectionInfo.success && selectionInfo.count > 1) {
+                // Batch export mode! Only when MULTIPLE sequences are selected
+                debugLog('Batch export: ' + selectionInfo.count + ' sequences selected', 'success');
+                setStatus('Batch: ' + selectionInfo.count + ' sequences', 'warning');
+                if (premiereDirect) {
+                    handleDirectBatchExport(selectionInfo.sequences);
+                } else {
+                    handleBatchExport(selectionInfo.sequences);
+                }
+            } else {
+                // No selection or failed - fall back to active sequence
+                debugLog('No selection, using active sequence', 'info');
+                handleSingleExport();
+            }
+        } catch (e) {
+            debugLog('Selection check failed: ' + e.message, 'error');
+            // Fall back to active sequence
+            handleSingleExport();
+        }
+    });
+}
+
+
+/**
+ * Handle batch export of multiple sequences
+ * The panel plans every output, then host.jsx queues them all in one call.
+ * @param {Array} sequences - Array of sequence objects {name, nodeId}
+ */
+function handleBatchExport(sequences) {
+    var downloadEnabled = document.getElementById('download-checkbox').checked;
+    var profile = getActiveProfile();
+    var totalCount = sequences.length;
+
+    debugLog('Starting batch export of ' + totalCount + ' sequences', 'info');
+    setStatus('Planning ' + totalCount + ' sequences...', 'warning');
+
+    runBatchExport(sequences, { profile: profile, downloadEnabled: downloadEnabled }, function (batchInfo) {
+        var report = createBatchReport('ame');
+        var successCount = 0;
+        var skippedCount = 0;
+        var errorCount = 0;
+
+        batchInfo.items.forEach(function (item) {
+            var summary = recordBatchItem(item);
+            if (summary.queued > 0 && summary.failed === 0) {
+                successCount++;
+            } else if (summary.skipped > 0 && summary.failed === 0) {
+                skippedCount++;
+            } else {
+                errorCount++;
+            }
+            report.rows = report.rows.concat(summary.rows);
+        });
+
+        setStatus((batchInfo.started ? 'Batch started: ' : 'Batch queued in AME: ') + successCount + '/' + totalCount, successCount > 0 ? 'success' : 'error');
+        debugLog('Batch export complete: ' + successCount + ' success, ' + skippedCount + ' skipped, ' + errorCount + ' errors', 'success');
+        finishBatchReport(report);
+    });
+}
+
+/**
+ * Record the outputs of one batch sequence in the history, the job list and the debug log
+ * @param {object} item - Item returned by runBatchExport
+ * @returns {object} {queued, skipped, failed, rows}, rows being the batch report rows of the sequence
+ */
+function recordBatchItem(item) {
+    var summary = { queued: 0, skipped: 0, failed: 0, rows: [] };
+
+    if (!item.success) {
+        debugLog('Queue error for ' + item.name + ': ' + item.error, 'error');
+        summary.failed++;
+        summary.rows.push({ sequence: item.name, nodeId: item.nodeId, outputPath: '', result: 'failed', error: item.error });
+        return summary;
+    }
+
+    item.plans.forEach(function (plan) {
+        var fileName = plan.outputPath.split(/[/\\]/).pop();
+        var result = plan.skipped ? 'skipped' : plan.success ? 'queued' : 'failed';
+        var error = plan.skipped ? 'File already exists' : plan.error;
+
+        // Outputs stopped before reaching AME (preset or folder problems, skipped files) are not in the history
+        var historyId = null;
+        if (plan.sent) {
+            historyId = recordExportHistory({
+                sequence: item.name,
+                nodeId: item.nodeId,
+                preset: plan.presetPath,
+                outputPath: plan.outputPath,
+                version: plan.version,
+                mode: 'ame',
+                inOut: plan.useInOut,
+                result: result,
+                error: result === 'queued' ? undefined : error
+            });
+        }
+
+        if (result === 'queued') {
+            summary.queued++;
+            trackExportJob(plan.jobID, plan.outputPath, historyId);
+            debugLog('Queued: ' + fileName, 'success');
+            if (plan.presetWarning) {
+                debugLog(plan.presetWarning, 'warning');
+            }
+        } else if (result === 'skipped') {
+            summary.skipped++;
+            debugLog('Skipped: ' + fileName + ' already exists', 'warning');
+        } else {
+            summary.failed++;
+            debugLog('Failed: ' + item.name + ' - ' + error, 'error');
+        }
+        summary.rows.push({
+            sequence: item.name,
+            nodeId: item.nodeId,
+            outputPath: plan.outputPath,
+            result: result,
+            error: result === 'queued' ? '' : error,
+            jobID: result === 'queued' ? plan.jobID : null
+        });
+    });
+
+    return summary;
+}
+
+/**
+ * Start rendering the Media Encoder queue, including jobs added in queue-only mode
+ */
+function startAMEQueue() {
+    csInterface.evalScript('ExportButton_startAMEBatch()', function (result) {
+        try {
+            var info = JSON.parse(result);
+            if (info.success) {
+                setStatus('AME queue started', 'success');
+                debugLog('AME queue started', 'success');
+            } else {
+                setStatus(info.error || 'Could not start AME', 'error');
+                debugLog('AME queue start failed: ' + info.error, 'error');
+            }
+        } catch (e) {
+            setStatus('Error: ' + e.message, 'error');
+        }
+    });
+}
+
+/**
+ * Start the AME queue after queueing, unless the profile only queues jobs
+ * @param {object} profile - Export profile
+ * @param {function} callback - Called with whether the queue was started
+ */
+function startAMEQueueForProfile(profile, callback) {
+    if (profile.queueOnly === true) {
+        debugLog('Queue-only mode: AME queue not started', 'info');
+        callback(false);
+        return;
+    }
+
+    debugLog('Starting AME batch...', 'info');
+    csInterface.evalScript('ExportButton_startAMEBatch()', function () {
+        callback(true);
+    });
+}
+
+/**
+ * Export several sequences one after another with Premiere Direct
+ * exportAsMediaDirect only renders the active sequence, so each one is opened first.
+ * The queue can be canceled between items; the sequence that was active is reopened at the end.
+ * @param {Array} sequences - Array of sequence objects {name, nodeId}
+ */
+function handleDirectBatchExport(sequences) {
+    var downloadEnabled = document.getElementById('download-checkbox').checked;
+    var profile = getActiveProfile();
+    var totalCount = sequences.length;
+    var counts = { complete: 0, error: 0, skipped: 0, canceled: 0 };
+    var currentIndex = 0;
+    var previous = null;
+    var queue = { cancelRequested: false };
+    var items = sequences.map(function (seq) {
+        return trackDirectExport(seq.name);
+    });
+
+    directExportQueue = queue;
+    document.body.classList.add('direct-queue-running');
+    debugLog('Starting Premiere Direct queue of ' + totalCount + ' sequences', 'info');
+
+    function processNextSequence() {
+        if (currentIndex < totalCount && queue.cancelRequested) {
+            for (; currentIndex < totalCount; currentIndex++) {
+                items[currentIndex].state = 'canceled';
+                counts.canceled++;
+            }
+            renderExportJobs();
+        }
+
+        if (currentIndex >= totalCount) {
+            finishQueue();
+            return;
+        }
+
+        var seq = sequences[currentIndex];
+        var item = items[currentIndex];
+        item.state = 'rendering';
+        renderExportJobs();
+        setStatus('Direct ' + (currentIndex + 1) + '/' + totalCount + ': ' + seq.name, 'warning');
+        debugLog('Opening: ' + seq.name, 'info');
+
+        var escapedName = seq.name.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+        var escapedNodeId = String(seq.nodeId || '').replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+        csInterface.evalScript("ExportButton_openSequenceByName('" + escapedName + "', '" + escapedNodeId + "')", function (result) {
+            var openInfo;
+            try {
+                openInfo = JSON.parse(result);
+            } catch (e) {
+                openInfo = { success: false, error: 'Error: ' + e.message };
+            }
+            if (!openInfo.success) {
+                finishItem(item, 'error', openInfo.error);
+                return;
+            }
+            getSequenceHasVideo(seq.name, seq.nodeId, function (videoInfo) {
+                if (!videoInfo.success) {
+                    finishItem(item, 'error', 'Video check failed: ' + videoInfo.error);
+                    return;
+                }
+
+                planSequenceExport({
+                    sequenceName: seq.name,
+                    nodeId: seq.nodeId,
+                    profile: profile,
+                    downloadEnabled: downloadEnabled,
+                    hasVideo: videoInfo.hasVideo
+                }, function (plan) {
+                    if (plan.skipped) {
+                        item.outputPath = plan.outputPath;
+                        finishItem(item, 'skipped', 'Already exists: ' + plan.outputPath.split(/[/\\]/).pop());
+                    } else if (!plan.success) {
+                        finishItem(item, 'error', plan.error);
+                    } else {
+                        renderDirect(seq, item, plan);
+                    }
+                });
+            });
+        });
+    }
+
+    function renderDirect(seq, item, plan) {
+        var panelPresetExists = panelCanAccessPreset(plan.presetPath);
+        var escapedOutput = plan.outputPath.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+        var escapedPreset = plan.presetPath.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+        var script = "ExportButton_exportDirectInPremiere('" + escapedOutput + "', '" + escapedPreset + "', " + plan.useInOut + ", " + panelPresetExists + ")";
+
+        item.name = plan.outputPath.split(/[/\\]/).pop();
+        item.outputPath = plan.outputPath;
+        renderExportJobs();
+        debugLog('Rendering: ' + item.name, 'info');
+
+        csInterface.evalScript(script, function (result) {
+            var exportResult;
+            try {
+                exportResult = JSON.parse(result);
+            } catch (e) {
+                exportResult = { success: false, error: 'Error: ' + e.message };
+            }
+
+            recordExportHistory({
+                sequence: seq.name,
+                nodeId: seq.nodeId,
+                preset: plan.presetPath,
+                outputPath: plan.outputPath,
+                version: plan.version,
+                mode: 'premiere',
+                inOut: plan.useInOut,
+                result: exportResult.success ? 'complete' : 'failed',
+                error: exportResult.success ? undefined : exportResult.error
+            });
+
+            if (exportResult.success) {
+                finishItem(item, 'complete');
+            } else {
+                finishItem(item, 'error', exportResult.error || 'Export failed');
+            }
+        });
+    }
+
+    function finishItem(item, state, detail) {
+        releasePlannedOutputs([item]);
+        item.state = state;
+        item.progress = state === 'complete' ? 100 : 0;
+        item.error = detail || '';
+        counts[state]++;
+        renderExportJobs();
+        debugLog(item.name + ': ' + state + (detail ? ' - ' + detail : ''), state === 'complete' ? 'success' : state === 'error' ? 'error' : 'warning');
+
+        currentIndex++;
+        processNextSequence();
+    }
+
+    function finishQueue() {
+        directExportQueue = null;
+        document.body.classList.remove('direct-queue-running');
+
+        var parts = [counts.complete + '/' + totalCount + ' exported'];
+        if (counts.error) parts.push(counts.error + ' failed');
+        if (counts.skipped) parts.push(counts.skipped + ' skipped');
+        if (counts.canceled) parts.push(counts.canceled + ' canceled');
+        var summary = 'Direct: ' + parts.join(', ');
+
+        setStatus(summary, counts.error ? 'error' : counts.complete === totalCount ? 'success' : 'warning');
+        debugLog('Premiere Direct queue complete - ' + parts.join(', '), counts.error ? 'warning' : 'success');
+
+        var report = createBatchReport('premiere');
+        items.forEach(function (item) {
+            report.rows.push({
+                sequence: item.sequence,
+                nodeId: sequences[items.indexOf(item)].nodeId,
+                outputPath: item.outputPath,
+                result: item.state === 'error' ? 'failed' : item.state,
+                error: item.error,
+                jobID: item.jobID
+            });
+        });
+        finishBatchReport(report);
+
+        // Give the timeline back the sequence the user was working on
+        if (previous) {
+            var escapedPrevious = previous.name.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+            var escapedPreviousNodeId = String(previous.nodeId || '').replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+            csInterface.evalScript("ExportButton_openSequenceByName('" + escapedPrevious + "', '" + escapedPreviousNodeId + "')", function () { });
+        }
+    }
+
+    // Remember the active sequence before any item opens, even if the first one fails
+    csInterface.evalScript('ExportButton_getActiveSequence()', function (result) {
+        try {
+            var activeInfo = JSON.parse(result);
+            if (activeInfo.success && activeInfo.name) {
+                previous = { name: activeInfo.name, nodeId: activeInfo.nodeId || '' };
+            }
+        } catch (e) {
+            debugLog('Active sequence unknown, it will not be reopened: ' + e.message, 'warning');
+        }
+        processNextSequence();
+    });
+}
+
+/**
+ * Stop the running Premiere Direct queue once the current item is done
+ */
+function cancelDirectExportQueue() {
+    if (!directExportQueue || directExportQueue.cancelRequested) return;
+
+    directExportQueue.cancelRequested = true;
+    setStatus('Canceling after the current export...', 'warning');
+    debugLog('Premiere Direct queue cancel requested', 'warning');
+}
+
+/**
+ * Check whether a sequence has video, to pick the video or audio preset
+ * @param {string} sequenceName - Name of the sequence
+ * @param {string} nodeId - nodeId of the sequence project item, preferred over the name (may be empty)
+ * @param {function} callback - Called with {success, hasVideo, error}
+ */
+function getSequenceHasVideo(sequenceName, nodeId, callback) {
+    var escapedName = sequenceName.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+    var escapedNodeId = String(nodeId || '').replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+    csInterface.evalScript("ExportButton_hasVideoForSequence('" + escapedName + "', '" + escapedNodeId + "')", function (result) {
+        try {
+            var videoInfo = JSON.parse(result);
+            if (!videoInfo.success) {
+                callback({ success: false, hasVideo: false, error: videoInfo.error });
+                return;
+            }
+            callback({ success: true, hasVideo: videoInfo.hasVideo || false });
+        } catch (e) {
+            callback({ success: false, hasVideo: false, error: e.message });
+        }
+    });
+}
+
+/**
+ * Start the export plan of one sequence of a batch
+ * @param {string} sequenceName - Name of the sequence in the project
+ * @param {object} profile - Export profile, with the overrides of the sequence applied
+ * @param {boolean} hasVideo - Whether the sequence has visible video
+ * @param {object=} deliverable - Deliverable {presetPath, subfolder} exported instead of the Video/Audio preset
+ * @returns {object} Plan filled in by the planning steps
+ */
+function createExportPlan(sequenceName, profile, hasVideo, deliverable) {
+    var presetPath = deliverable ? deliverable.presetPath : hasVideo
+        ? (profile.videoPreset || defaultPresets.video)
+        : (profile.audioPreset || defaultPresets.audio);
+    var presetWarning = getPresetWarning(presetPath);
+    if (presetWarning) {
+        debugLog(presetWarning, 'warning');
+    }
+
+    return {
+        sequenceName: sequenceName,
+        cleanName: sequenceName.replace(/[<>:"/\\|?*]/g, '_'),
+        profile: profile,
+        hasVideo: hasVideo,
+        useInOut: false,
+        presetPath: presetPath,
+        subfolder: deliverable ? deliverable.subfolder : '',
+        extension: getExtensionFromPreset(presetPath, hasVideo).slice(1),
+        sequenceInfo: {},
+        naming: null,
+        folderPath: '',
+        version: 0,
+        outputPath: '',
+        success: false,
+        skipped: false,
+        // Sequences whose preset fails the health check are reported instead of queued
+        error: checkPreset(presetPath, deliverable ? '' : hasVideo ? 'video' : 'audio')
+    };
+}
+
+/**
+ * Name the output file of a plan once its folder and version are known
+ * Applies the collision policy of the profile and creates the output folder when the file is kept.
+ * @param {object} plan - Plan from createExportPlan with naming, folderPath and version set
+ * @param {object} profile - Export profile
+ * @param {function} callback - Called with the plan, success or skipped set
+ */
+function completeExportPlan(plan, profile, callback) {
+    var namingPattern = profile.suffixPattern || DEFAULT_PROFILE.suffixPattern;
+    var finalOutputPath;
+    try {
+        var fileName = parseSuffixPattern(namingPattern, plan.version, plan.cleanName, plan.naming.tokens, plan.naming.useUtc);
+        var sep = (plan.folderPath.indexOf('\\') !== -1) ? '\\' : '/';
+        // Always pass a real file extension so Adobe does not truncate names containing dots.
+        finalOutputPath = buildExportOutputPath(plan.folderPath + sep + fileName, plan.presetPath, plan.hasVideo);
+    } catch (e) {
+        plan.error = e.message;
+        callback(plan);
+        return;
+    }
+
+    resolveOutputCollision(finalOutputPath, profile.collisionPolicy, function (exportPath) {
+        if (!exportPath) {
+            plan.skipped = true;
+            plan.outputPath = finalOutputPath;
+            callback(plan);
+            return;
+        }
+
+        // Later plans of the same batch must not pick this path again before it is queued
+        plannedOutputPaths.push(exportPath);
+        ensureOutputFolder(path.dirname(exportPath));
+        plan.outputPath = exportPath;
+        plan.success = true;
+        callback(plan);
+    });
+}
+
+/**
+ * Forget the output paths of plans that were queued, rendered or dropped
+ * @param {Array} plans - Plans from completeExportPlan
+ */
+function releasePlannedOutputs(plans) {
+    plans.forEach(function (plan) {
+        var index = plannedOutputPaths.indexOf(plan.outputPath);
+        if (index !== -1) {
+            plannedOutputPaths.splice(index, 1);
+        }
+    });
+}
+
+/**
+ * Work out the preset and output file of one sequence
+ * Applies the sequence overrides, reserves the version number, applies the collision policy
+ * and creates the output folder
+ * @param {object} options - {sequenceName, nodeId, profile, downloadEnabled, hasVideo}
+ * @param {function} callback - Called with the plan {success, skipped, outputPath, presetPath, useInOut, version, error}
+ */
+function planSequenceExport(options, callback) {
+    getSequenceNamingInfo(options.sequenceName, options.nodeId, function (sequenceInfo) {
+        var profile = applySequenceOverrides(options.profile, sequenceInfo.overrides);
+        var plan = createExportPlan(options.sequenceName, profile, options.hasVideo);
+        plan.useInOut = getBatchInOut(sequenceInfo.overrides);
+        plan.sequenceInfo = sequenceInfo;
+        plan.naming = createFolderNaming(sequenceInfo, plan.cleanName, plan.presetPath, profile, plan.useInOut);
+        if (plan.error) {
+            callback(plan);
+            return;
+        }
+
+        resolveOutputFolder(profile, options.downloadEnabled, plan.naming, function (folderInfo) {
+            if (!folderInfo.success) {
+                plan.error = 'Export folder error: ' + folderInfo.error;
+                callback(plan);
+                return;
+            }
+
+            plan.folderPath = folderInfo.path;
+            resolveExportVersion({
+                profile: profile,
+                sequenceName: plan.cleanName,
+                sequenceInfo: sequenceInfo,
+                folders: [plan.folderPath],
+                extension: plan.extension,
+                reserve: true
+            }, function (version) {
+                plan.version = version;
+                completeExportPlan(plan, profile, callback);
+            });
+        });
+    });
+}
+
+/**
+ * Plan a batch in the panel, then queue every output in Media Encoder with one host call
+ * Sequence details come from one host call; folders, versions, names and collisions are worked out
+ * with the same helpers as single exports, so host.jsx only receives resolved jobs.
+ * The outputs of a deliverable set share one version number.
+ * @param {Array} sequences - Array of sequence objects {name, nodeId}
+ * @param {object} options - {profile, downloadEnabled, profileInOut}; profileInOut follows the In/Out setting
+ *   of the profile instead of rendering whole sequences
+ * @param {function} callback - Called with {items, started}, one item {name, nodeId, success, useInOut, version, plans, error}
+ *   per sequence in order
+ */
+function runBatchExport(sequences, options, callback) {
+    var items = [];
+    var lookups = sequences.map(function (seq) {
+        return { name: seq.name, nodeId: seq.nodeId || '' };
+    });
+
+    callHostWithJson('ExportButton_inspectSequences', lookups, function (inspectInfo) {
+        var details = inspectInfo.items || [];
+        items = lookups.map(function (lookup, index) {
+            var detail = details[index] || { success: false, error: inspectInfo.error || 'No sequence details' };
+            var info = detail.info || {};
+            var profile = applySequenceOverrides(options.profile, info.overrides);
+            var item = {
+                name: lookup.name,
+                nodeId: lookup.nodeId,
+                success: detail.success === true,
+                profile: profile,
+                sequenceInfo: info,
+                useInOut: options.profileInOut ? profile.inoutExport === true : getBatchInOut(info.overrides),
+                version: 0,
+                plans: [],
+                error: ''
+            };
+            if (!item.success) {
+                item.error = detail.error || 'Sequence not found: ' + lookup.name;
+                return item;
+            }
+
+            var deliverables = profile.useDeliverables ? getProfileDeliverables(profile) : [null];
+            if (deliverables.length === 0) {
+                item.success = false;
+                item.error = 'No deliverables configured';
+                return item;
+            }
+            item.plans = deliverables.map(function (deliverable) {
+                var plan = createExportPlan(lookup.name, profile, detail.hasVideo === true, deliverable);
+                plan.nodeId = lookup.nodeId;
+                plan.useInOut = item.useInOut;
+                plan.sequenceInfo = info;
+                plan.naming = createFolderNaming(info, plan.cleanName, plan.presetPath, profile, plan.useInOut);
+                return plan;
+            });
+            return item;
+        });
+
+        projectBaseCache = {};
+        planItem(0);
+    });
+
+    function planItem(index) {
+        if (index >= items.length) {
+            projectBaseCache = null;
+            queuePlans();
+            return;
+        }
+
+        var item = items[index];
+        resolvePlanFolders(item, 0, function () {
+            var ready = item.plans.filter(function (plan) {
+                return !plan.error;
+            });
+            if (ready.length === 0) {
+                planItem(index + 1);
+                return;
+            }
+
+            // Every output folder is scanned so _V3.mp4 and _V3.mov never drift apart
+            resolveExportVersion({
+                profile: item.profile,
+                sequenceName: ready[0].cleanName,
+                sequenceInfo: item.sequenceInfo,
+                folders: ready.map(function (plan) { return plan.folderPath; }),
+                extension: ready[0].extension,
+                reserve: true
+            }, function (version) {
+                item.version = version;
+                ready.forEach(function (plan) {
+                    plan.version = version;
+                });
+                completePlans(ready, 0, function () {
+                    planItem(index + 1);
+                });
+            });
+        });
+    }
+
+    // The export folder template may use {PRESET}, so each output resolves its own folder
+    function resolvePlanFolders(item, index, done) {
+        if (index >= item.plans.length) {
+            done();
+            return;
+        }
+
+        var plan = item.plans[index];
+        if (plan.error) {
+            resolvePlanFolders(item, index + 1, done);
+            return;
+        }
+        resolveOutputFolder(item.profile, options.downloadEnabled === true, plan.naming, function (folderInfo) {
+            if (folderInfo.success) {
+                plan.folderPath = joinOutputPath(folderInfo.path, plan.subfolder);
+            } else {
+                plan.error = 'Export folder error: ' + folderInfo.error;
+            }
+            resolvePlanFolders(item, index + 1, done);
+        });
+    }
+
+    function completePlans(plans, index, done) {
+        if (index >= plans.length) {
+            done();
+            return;
+        }
+
+        completeExportPlan(plans[index], plans[index].profile, function () {
+            completePlans(plans, index + 1, done);
+        });
+    }
+
+    function queuePlans() {
+        var plans = [];
+        items.forEach(function (item) {
+            plans = plans.concat(item.plans);
+        });
+        var queued = plans.filter(function (plan) {
+            return plan.success;
+        });
+
+        function finish(started) {
+            releasePlannedOutputs(plans);
+            callback({ items: items, started: started });
+        }
+
+        if (queued.length === 0) {
+            finish(false);
+            return;
+        }
+
+        // Check the presets from the panel so host.jsx can bypass ExtendScript false negatives.
+        var jobs = queued.map(function (plan, index) {
+            return {
+                id: index,
+                sequenceName: plan.sequenceName,
+                nodeId: plan.nodeId,
+                outputPath: plan.outputPath,
+                presetPath: plan.presetPath,
+                panelPresetExists: panelCanAccessPreset(plan.presetPath),
+                useInOut: plan.useInOut
+            };
+        });
+        setStatus('Queueing ' + jobs.length + ' exports...', 'warning');
+        callHostWithJson('ExportButton_queueBatch', { jobs: jobs, startBatch: options.profile.queueOnly !== true }, function (queueInfo) {
+            var results = queueInfo.results || [];
+            queued.forEach(function (plan, index) {
+                var result = results[index] || { success: false, error: queueInfo.error || 'No result from host' };
+                plan.sent = true;
+                plan.success = result.success === true;
+                plan.jobID = result.success ? result.jobID : null;
+                plan.presetWarning = result.presetWarning || '';
+                plan.error = result.success ? '' : result.error;
+            });
+            finish(queueInfo.started === true);
+        });
+    }
+}
+
+/**
+ * Call a host batch function with a JSON argument
+ * @param {string} functionName - ExtendScript function taking one JSON string
+ * @param {*} data - Value sent as JSON
+ * @param {function} callback - Called with the parsed result, {success: false, error} when it cannot be read
+ */
+function callHostWithJson(functionName, data, callback) {
+    var json = JSON.stringify(data).replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+    csInterface.evalScript(functionName + "('" + json + "')", function (result) {
+        var info;
+        try {
+            info = JSON.parse(result);
+        } catch (e) {
+            info = { success: false, error: 'Error: ' + e.message + ' | Raw result: ' + result };
+        }
+        callback(info);
+    });
+}
+
+/**
+ * Handle single sequence export (active sequence)
+ */
+function handleSingleExport() {
+    debugLog('Calling getActiveSequence()...', 'info');
+    csInterface.evalScript('ExportButton_getActiveSequence()', function (result) {
+        debugLog('getActiveSequence result: ' + result, result ? 'info' : 'error');
+
+        try {
+            if (!result || result === 'undefined' || result.indexOf('Error') === 0 || result.indexOf('EvalScript') === 0) {
+                setStatus('Script error - check log', 'error');
+                debugLog('ExtendScript error: ' + result, 'error');
+                return;
+            }
+
+            var seqInfo = JSON.parse(result);
+            debugLog('Parsed sequence info: ' + JSON.stringify(seqInfo), 'success');
+
+            if (!seqInfo.success) {
+                setStatus(seqInfo.error || 'No active sequence', 'error');
+                debugLog('No active sequence: ' + seqInfo.error, 'error');
+                return;
+            }
+
+            debugLog('Sequence name: ' + seqInfo.name, 'success');
+            getSequenceProfile('', '', function (profile) {
+                checkVideoAndExport(seqInfo.name, { profile: profile, nodeId: seqInfo.nodeId });
+            });
+
+        } catch (e) {
+            setStatus('Error: ' + e.message, 'error');
+            debugLog('Parse error: ' + e.message + ' | Raw result: ' + result, 'error');
+        }
+    });
+}
+
+/**
+ * Handle a single active-sequence export with a forced SpellBook combo.
+ * @param {object} exportOptions - Forced export settings
+ */
+function handleForcedSingleExport(exportOptions) {
+    setStatus('Checking...', 'warning');
+    syncProjectSettings(function () {
+        exportForcedActiveSequence(exportOptions);
+    });
+}
+
+/**
+ * Export the active sequence with a forced SpellBook combo once the project settings are loaded.
+ * @param {object} exportOptions - Forced export settings
+ */
+function exportForcedActiveSequence(exportOptions) {
+    debugLog('Calling getActiveSequence() for ' + exportOptions.label + '...', 'info');
+
+    csInterface.evalScript('ExportButton_getActiveSequence()', function (result) {
+        debugLog('getActiveSequence result: ' + result, result ? 'info' : 'error');
+
+        try {
+            if (!result || result === 'undefined' || result.indexOf('Error') === 0 || result.indexOf('EvalScript') === 0) {
+                setStatus('Script error - check log', 'error');
+                debugLog('ExtendScript error: ' + result, 'error');
+                return;
+            }
+
+            var seqInfo = JSON.parse(result);
+            if (!seqInfo.success) {
+                setStatus(seqInfo.error || 'No active sequence', 'error');
+                debugLog('No active sequence: ' + seqInfo.error, 'error');
+                return;
+            }
+
+            getSequenceProfile('', '', function (profile) {
+                exportForcedMediaKind(seqInfo.name, Object.assign({}, exportOptions, { profile: profile }));
+            });
+        } catch (e) {
+            setStatus('Error: ' + e.message, 'error');
+            debugLog('Parse error: ' + e.message + ' | Raw result: ' + result, 'error');
+        }
+    });
+}
+
+/**
+ * Select the requested preset type and continue through normal output naming.
+ * @param {string} sequenceName - Name of the active sequence
+ * @param {object} exportOptions - Forced export settings
+ */
+function exportForcedMediaKind(sequenceName, exportOptions) {
+    // SpellBook commands intentionally force video+audio or audio-only instead of auto-detecting tracks.
+    var hasVideo = exportOptions.hasVideo === true;
+    var profile = getExportProfile(exportOptions);
+    var presetPath = hasVideo
+        ? (profile.videoPreset || defaultPresets.video)
+        : (profile.audioPreset || defaultPresets.audio);
+
+    if (!presetPath) {
+        setStatus('No preset configured', 'error');
+        openSettingsModal();
+        return;
+    }
+    if (!checkExportPreset(presetPath, hasVideo, hasVideo ? 'video-preset' : 'audio-preset')) {
+        return;
+    }
+
+    determineOutputPath(sequenceName, presetPath, hasVideo, exportOptions);
+}
+
+/**
+ * Check if sequence has video and proceed with export
+ * @param {string} sequenceName - Name of the sequence
+ * @param {object} exportOptions - Export settings with the sequence profile
+ */
+function checkVideoAndExport(sequenceName, exportOptions) {
+    csInterface.evalScript('ExportButton_hasVideoTracks()', function (result) {
+        try {
+            var videoInfo = JSON.parse(result);
+            var hasVideo = videoInfo.hasVideo;
+            var profile = getExportProfile(exportOptions);
+
+            // Deliverable sets queue their own presets instead of the Video/Audio pair
+            if (profile.useDeliverables) {
+                exportDeliverableSet(sequenceName, profile, exportOptions && exportOptions.nodeId);
+                return;
+            }
+
+            // Determine which preset to use
+            var presetPath;
+            if (hasVideo) {
+                presetPath = profile.videoPreset || defaultPresets.video;
+            } else {
+                presetPath = profile.audioPreset || defaultPresets.audio;
+            }
+
+            if (!presetPath) {
+                setStatus('No preset configured', 'error');
+                openSettingsModal();
+                return;
+            }
+            if (!checkExportPreset(presetPath, hasVideo, hasVideo ? 'video-preset' : 'audio-preset')) {
+                return;
+            }
+
+            // Determine output path
+            determineOutputPath(sequenceName, presetPath, hasVideo, exportOptions);
+
+        } catch (e) {
+            setStatus('Error: ' + e.message, 'error');
+        }
+    });
+}
+
+/**
+ * Determine output path and proceed with export
+ * @param {string} sequenceName - Name of the sequence
+ * @param {string} presetPath - Path to the preset file
+ * @param {boolean} hasVideo - Whether the sequence has video
+ * @param {object=} exportOptions - Optional forced export settings and sequence profile
+ */
+function determineOutputPath(sequenceName, presetPath, hasVideo, exportOptions) {
+    var downloadEnabled = document.getElementById('download-checkbox').checked;
+    var profile = getExportProfile(exportOptions);
+
+    // Clean sequence name for use as filename
+    var cleanName = sequenceName.replace(/[<>:"/\\|?*]/g, '_');
+
+    getSequenceNamingInfo('', '', function (sequenceInfo) {
+        var naming = createFolderNaming(sequenceInfo, cleanName, presetPath, profile, profile.inoutExport === true);
+
+        resolveOutputFolder(profile, downloadEnabled, naming, function (folderInfo) {
+            if (!folderInfo.success) {
+                setStatus(folderInfo.error || 'Cannot find export folder', 'error');
+                return;
+            }
+
+            getVersionedFilenameAndExport(folderInfo.path, cleanName, presetPath, hasVideo, exportOptions, sequenceInfo);
+        });
+    });
+}
+
+/**
+ * Resolve the output folder from the profile folder rule
+ * The export folder is a path template using the filename tokens. Relative templates
+ * start beside the project (walked up by the folder depth), absolute ones are used as-is.
+ * Folders are only created at export time, see ensureOutputFolder().
+ * @param {object} profile - Export profile providing the folder settings
+ * @param {boolean} downloadEnabled - Whether the checkbox redirects exports to the fixed folder
+ * @param {object} naming - Token values for the folder template, see createFolderNaming()
+ * @param {function} callback - Called with {success, path, error}
+ */
+function resolveOutputFolder(profile, downloadEnabled, naming, callback) {
+    var folderTemplate = profile.exportFolder || DEFAULT_PROFILE.exportFolder;
+    var folderDepth = parseInt(profile.folderDepth || 0, 10) || 0;
+    var fixedFolder = profile.fixedFolder || '';
+
+    if (downloadEnabled) {
+        // Check for fixed folder path
+        if (fixedFolder.trim() !== '') {
+            // Use custom fixed folder
+            callback({ success: true, path: fixedFolder });
+        } else {
+            // Use default Downloads folder
+            evalProjectBaseScript('ExportButton_getSystemInfo()', function (info) {
+                if (info.downloadsPath) {
+                    callback({ success: true, path: info.downloadsPath });
+                } else {
+                    callback({ success: false, error: 'Error getting downloads path' });
+                }
+            });
+        }
+    } else if (isAbsoluteFolderTemplate(folderTemplate)) {
+        callback({ success: true, path: expandFolderTemplate(folderTemplate, naming) });
+    } else if (profile.folderMode === 'marker') {
+        resolveMarkerBasePath(profile, function (baseInfo) {
+            if (baseInfo.success && baseInfo.useFixedFolder) {
+                resolveOutputFolder(profile, true, naming, callback);
+            } else if (baseInfo.success) {
+                callback({ success: true, path: joinOutputPath(baseInfo.path, expandFolderTemplate(folderTemplate, naming)) });
+            } else {
+                callback(baseInfo);
+            }
+        });
+    } else {
+        // Export beside the project, walked up by the folder depth
+        getProjectBasePath(folderDepth, function (baseInfo) {
+            if (!baseInfo.success) {
+                callback(baseInfo);
+                return;
+            }
+            callback({ success: true, path: joinOutputPath(baseInfo.path, expandFolderTemplate(folderTemplate, naming)) });
+        });
+    }
+}
+
+/**
+ * Get the project folder walked up by a number of levels
+ * @param {number} depth - How many folders to go up (0 = beside project)
+ * @param {function} callback - Called with {success, path, error}
+ */
+function getProjectBasePath(depth, callback) {
+    evalProjectBaseScript('ExportButton_getProjectBasePath(' + depth + ')', callback);
+}
+
+/**
+ * Run a host lookup of a base or Downloads folder, reusing the answer while a batch is planned
+ * Answers are keyed by the whole script, so profiles with other depths or markers look up their own folder.
+ * @param {string} script - ExtendScript call returning JSON
+ * @param {function} callback - Called with the parsed result
+ */
+function evalProjectBaseScript(script, callback) {
+    if (projectBaseCache && projectBaseCache.hasOwnProperty(script)) {
+        callback(projectBaseCache[script]);
+        return;
+    }
+
+    csInterface.evalScript(script, function (result) {
+        var info;
+        try {
+            info = JSON.parse(result);
+        } catch (e) {
+            info = { success: false, error: 'Error: ' + e.message };
+        }
+        if (projectBaseCache) {
+            projectBaseCache[script] = info;
+        }
+        callback(info);
+    });
+}
+
+/**
+ * Find the base folder of relative export folders by walking up to a marker folder or file
+ * When no marker is found within the search limit, the fallback of the profile applies:
+ *   depth = Folder Depth rule, project = beside the project, fixed = fixed folder or Downloads, error = stop
+ * @param {object} profile - Export profile
+ * @param {function} callback - Called with {success, path, useFixedFolder, error}
+ */
+function resolveMarkerBasePath(profile, callback) {
+    var markerNames = profile.markerNames || DEFAULT_PROFILE.markerNames;
+    var markerLevels = parseInt(profile.markerLevels, 10);
+    if (isNaN(markerLevels) || markerLevels < 0) {
+        markerLevels = DEFAULT_PROFILE.markerLevels;
+    }
+
+    var script = "ExportButton_findExportRoot('" + markerNames.replace(/\\/g, '\\\\').replace(/'/g, "\\'") + "', " + markerLevels + ")";
+    evalProjectBaseScript(script, function (rootInfo) {
+        if (rootInfo.success && rootInfo.found) {
+            debugLog('Export root: ' + rootInfo.path + ' (' + rootInfo.marker + ')', 'info');
+            callback({ success: true, path: rootInfo.path });
+            return;
+        }
+        if (!rootInfo.success) {
+            callback(rootInfo);
+            return;
+        }
+
+        var fallback = profile.markerFallback || DEFAULT_PROFILE.markerFallback;
+        debugLog('No ' + markerNames + ' found within ' + markerLevels + ' levels, fallback: ' + fallback, 'warning');
+        if (fallback === 'error') {
+            callback({ success: false, error: 'No export root found (' + markerNames + ')' });
+        } else if (fallback === 'fixed') {
+            callback({ success: true, useFixedFolder: true });
+        } else {
+            getProjectBasePath(fallback === 'project' ? 0 : parseInt(profile.folderDepth || 0, 10) || 0, callback);
+        }
+    });
+}
+
+/**
+ * Build the token values an export folder template is expanded with
+ * @param {object} sequenceInfo - Result of getSequenceNamingInfo
+ * @param {string} sequenceName - Sequence name as used in filenames
+ * @param {string} presetPath - Preset used by the export
+ * @param {object} profile - Export profile
+ * @param {boolean} useInOut - Whether the export is limited to the In/Out range
+ * @returns {object} {sequenceName, tokens, useUtc}
+ */
+function createFolderNaming(sequenceInfo, sequenceName, presetPath, profile, useInOut) {
+    return {
+        sequenceName: sequenceName,
+        tokens: buildNamingTokens(sequenceInfo, presetPath, useInOut),
+        useUtc: profile.utcTime === true
+    };
+}
+
+/**
+ * Check whether an export folder template is an absolute path (/..., C:\..., \\server\..., ~/...)
+ * @param {string} template - Export folder template
+ * @returns {boolean} Whether the template ignores the project location
+ */
+function isAbsoluteFolderTemplate(template) {
+    return /^(?:[A-Za-z]:[\\/]|[\\/]|~(?:[\\/]|$))/.test(String(template).trim());
+}
+
+/**
+ * Expand the tokens of an export folder template, one path segment at a time
+ * Segments whose tokens all resolve to nothing are dropped, so "EXPORTS/{BIN}" gives
+ * "EXPORTS" for a sequence at the project root.
+ * @param {string} template - Export folder template like "EXPORTS/{DATE}/{PRESET}"
+ * @param {object=} naming - {sequenceName, tokens, useUtc} from createFolderNaming()
+ * @returns {string} Expanded path using the separator of the platform
+ */
+function expandFolderTemplate(template, naming) {
+    var info = naming || {};
+    var text = String(template).trim().replace(/^~(?=[\\/]|$)/, os.homedir());
+    var prefix = (text.match(/^[\\/]{1,2}/) || [''])[0];
+
+    var segments = text.slice(prefix.length).split(/[\\/]+/).map(function (segment) {
+        // Versions are found inside the folder, so they cannot be part of its path
+        var withoutVersion = segment.replace(/[_\-. ]?\{V+\}/gi, '');
+        return parseSuffixPattern(withoutVersion, 0, info.sequenceName || '', info.tokens, info.useUtc === true).trim();
+    }).filter(function (segment) {
+        return segment !== '';
+    });
+
+    return prefix.replace(/[\\/]/g, path.sep) + segments.join(path.sep);
+}
+
+/**
+ * Create the output folder and its missing parents before Adobe writes into it
+ * @param {string} folderPath - Output folder
+ * @returns {boolean} Whether the folder exists
+ */
+function ensureOutputFolder(folderPath) {
+    try {
+        fs.mkdirSync(folderPath, { recursive: true });
+        return true;
+    } catch (e) {
+        debugLog('Cannot create ' + folderPath + ': ' + e.message, 'error');
+        return false;
+    }
+}
+
+/**
+ * Make a token value safe to use inside a filename
+ * @param {*} value - Token value
+ * @returns {string} Value without characters forbidden on Windows or macOS
+ */
+function sanitizeFilenamePart(value) {
+    return String(value === undefined || value === null ? '' : value).replace(/[<>:"/\\|?*]/g, '_');
+}
+
+/**
+ * Format a frame rate for filenames (25, 23.976, 29.97...)
+ * @param {number} frameRate - Frames per second
+ * @returns {string} Rounded frame rate, empty when unknown
+ */
+function formatFrameRate(frameRate) {
+    if (!frameRate || !isFinite(frameRate)) {
+        return '';
+    }
+    return String(Math.round(frameRate * 1000) / 1000);
+}
+
+/**
+ * Format a duration for filenames (45s, 2m05s, 1h02m05s)
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Formatted duration, empty when unknown
+ */
+function formatDuration(seconds) {
+    if (!(seconds > 0) || !isFinite(seconds)) {
+        return '';
+    }
+
+    var total = Math.round(seconds);
+    var hours = Math.floor(total / 3600);
+    var minutes = Math.floor((total % 3600) / 60);
+    var secs = total % 60;
+
+    if (hours > 0) {
+        return hours + 'h' + String(minutes).padStart(2, '0') + 'm' + String(secs).padStart(2, '0') + 's';
+    }
+    if (minutes > 0) {
+        return minutes + 'm' + String(secs).padStart(2, '0') + 's';
+    }
+    return secs + 's';
+}
+
+/**
+ * Format a sequence time as HHMMSS for the {INOUT} token
+ * @param {number} seconds - Time in seconds
+ * @returns {string} HHMMSS
+ */
+function formatRangeTime(seconds) {
+    var total = Math.floor(seconds);
+    return String(Math.floor(total / 3600)).padStart(2, '0') +
+        String(Math.floor((total % 3600) / 60)).padStart(2, '0') +
+        String(total % 60).padStart(2, '0');
+}
+
+/**
+ * Default format of each date token, e.g. {DATE} is {DATE:YYYY-MM-DD}
+ */
+var DATE_TOKEN_FORMATS = {
+    DATE: 'YYYY-MM-DD',
+    TIME: 'HH-mm',
+    YEAR: 'YYYY',
+    MONTH: 'MM',
+    DAY: 'DD',
+    WEEK: 'WW'
+};
+
+// Longest parts first so YYYY is not read as YY + YY
+var DATE_FORMAT_PARTS = /YYYY|YY|MM|DD|HH|mm|ss|WW/g;
+
+/**
+ * Get the ISO 8601 week number of a date
+ * @param {number} year - Full year
+ * @param {number} month - Month (0-11)
+ * @param {number} day - Day of month
+ * @returns {number} Week number (1-53)
+ */
+function getIsoWeek(year, month, day) {
+    // Move to the Thursday of the same week, its year owns the week
+    var date = new Date(Date.UTC(year, month, day));
+    var weekDay = date.getUTCDay() || 7;
+    date.setUTCDate(date.getUTCDate() + 4 - weekDay);
+    var yearStart = new Date(Date.UTC(date.getUTCFullYear(), 0, 1));
+    return Math.ceil(((date - yearStart) / 86400000 + 1) / 7);
+}
+
+/**
+ * Format a date with YYYY, YY, MM, DD, HH, mm, ss and WW (ISO week) parts
+ * @param {string} format - Format such as YYMMDD or HHmmss
+ * @param {Date} date - Date to format
+ * @param {boolean} useUtc - Use UTC instead of local time
+ * @returns {string} Formatted date
+ */
+function formatDateTime(format, date, useUtc) {
+    var year = useUtc ? date.getUTCFullYear() : date.getFullYear();
+    var month = useUtc ? date.getUTCMonth() : date.getMonth();
+    var day = useUtc ? date.getUTCDate() : date.getDate();
+    var parts = {
+        YYYY: String(year),
+        YY: String(year).slice(-2),
+        MM: String(month + 1).padStart(2, '0'),
+        DD: String(day).padStart(2, '0'),
+        HH: String(useUtc ? date.getUTCHours() : date.getHours()).padStart(2, '0'),
+        mm: String(useUtc ? date.getUTCMinutes() : date.getMinutes()).padStart(2, '0'),
+        ss: String(useUtc ? date.getUTCSeconds() : date.getSeconds()).padStart(2, '0'),
+        WW: String(getIsoWeek(year, month, day)).padStart(2, '0')
+    };
+
+    return format.replace(DATE_FORMAT_PARTS, function (part) {
+        return parts[part];
+    });
+}
+
+/**
+ * Check a date format before it is used in filenames
+ * @param {string} format - Format such as YYMMDD
+ * @returns {string} Error message, empty when the format is valid
+ */
+function validateDateFormat(format) {
+    if (!format) {
+        return 'Empty date format';
+    }
+
+    var rest = format.replace(DATE_FORMAT_PARTS, '');
+    if (/[<>:"/\\|?*]/.test(rest)) {
+        return 'Date format "' + format + '" contains characters not allowed in filenames';
+    }
+    if (/[A-Za-z]/.test(rest)) {
+        return 'Unknown date format "' + format + '" (use YYYY, YY, MM, DD, HH, mm, ss, WW)';
+    }
+    return '';
+}
+
+// Tokens filled from the sequence, project and computer (date and version tokens are separate)
+var NAMING_TOKENS = ['SEQ', 'PROJECT', 'BIN', 'WIDTH', 'HEIGHT', 'FPS', 'DURATION', 'PRESET', 'USER', 'HOST', 'INOUT'];
+
+// Longest full path Windows accepts without long path support
+var MAX_OUTPUT_PATH_LENGTH = 260;
+
+/**
+ * Find the problems of a naming pattern: unknown tokens, invalid date formats and illegal characters
+ * @param {string} pattern - Naming pattern
+ * @returns {Array} Error messages
+ */
+function validateNamingPattern(pattern) {
+    var errors = [];
+    var text = String(pattern || '');
+
+    var literal = text.replace(/\{([^{}]*)\}/g, function (match, content) {
+        var parts = content.split(':');
+        var name = parts[0].toUpperCase();
+        var format = parts.length > 1 ? content.slice(parts[0].length + 1) : undefined;
+
+        if (/^V+$/.test(name) && format === undefined) {
+            return '';
+        }
+        if (DATE_TOKEN_FORMATS.hasOwnProperty(name)) {
+            var error = format === undefined ? '' : validateDateFormat(format);
+            if (error) errors.push(error);
+        } else if (NAMING_TOKENS.indexOf(name) === -1) {
+            errors.push('Unknown token ' + match);
+        } else if (format !== undefined) {
+            errors.push('Token ' + match + ' does not take a format');
+        }
+        return '';
+    });
+
+    if (/[{}]/.test(literal)) {
+        errors.push('Unmatched { or } in pattern');
+    }
+    if (/[<>:"/\\|?*\x00-\x1f]/.test(literal)) {
+        errors.push('Illegal filename characters: ' + literal.replace(/[^<>:"/\\|?*\x00-\x1f]/g, '').split('').filter(function (char, index, chars) {
+            return chars.indexOf(char) === index;
+        }).join(' '));
+    }
+    return errors;
+}
+
+/**
+ * Find the problems of an export folder template, checking each path segment like a filename
+ * @param {string} template - Export folder template
+ * @returns {Array} Error messages
+ */
+function validateFolderTemplate(template) {
+    var errors = [];
+
+    String(template || '').split(/[\\/]+/).forEach(function (segment, index) {
+        // Drive letter of an absolute Windows path
+        if (index === 0 && /^[A-Za-z]:$/.test(segment)) return;
+
+        if (/\{V+\}/i.test(segment)) {
+            errors.push('Version tokens cannot be used in the export folder');
+        }
+        validateNamingPattern(segment.replace(/\{V+\}/gi, '')).forEach(function (error) {
+            if (errors.indexOf(error) === -1) errors.push(error);
+        });
+    });
+    return errors.map(function (error) {
+        return 'Export folder: ' + error;
+    });
+}
+
+/**
+ * Find the problems of a resolved output path that Windows or macOS would refuse
+ * @param {string} outputPath - Full output path with extension
+ * @returns {Array} Error messages
+ */
+function validateOutputPath(outputPath) {
+    var errors = [];
+    var fileName = outputPath.split(/[/\\]/).pop();
+    var stem = fileName.replace(/\.[^.]*$/, '');
+
+    if (outputPath.length > MAX_OUTPUT_PATH_LENGTH) {
+        errors.push('Path is ' + outputPath.length + ' characters, over the ' + MAX_OUTPUT_PATH_LENGTH + ' character Windows limit');
+    }
+    if (/[. ]$/.test(stem)) {
+        errors.push('Filename ends with a dot or a space');
+    }
+    if (/^(CON|PRN|AUX|NUL|COM\d|LPT\d)$/i.test(stem)) {
+        errors.push('"' + stem + '" is a reserved name on Windows');
+    }
+    return errors;
+}
+
+/**
+ * Settings a sequence can pin in its project metadata, see ExportButton_setSequenceOverrides()
+ * A pinned profile also brings its folder rules and versioning. The export mode
+ * (AME or Premiere Direct, deliverable set, queue-only) always follows the active profile.
+ */
+var SEQUENCE_OVERRIDE_FIELDS = ['videoPreset', 'audioPreset', 'suffixPattern', 'exportFolder'];
+var EXPORT_MODE_FIELDS = ['premiereDirect', 'useDeliverables', 'deliverables', 'queueOnly'];
+
+/**
+ * Layer the overrides of a sequence over an export profile
+ * @param {object} profile - Export profile picked for the export
+ * @param {object|null} overrides - {profileName, videoPreset, audioPreset, suffixPattern, exportFolder, inoutExport}
+ * @returns {object} Profile to export the sequence with (the same object when there are no overrides)
+ */
+function applySequenceOverrides(profile, overrides) {
+    if (!overrides) {
+        return profile;
+    }
+
+    // Profiles are matched by name since ids differ between editors
+    var source = profile;
+    if (overrides.profileName && overrides.profileName !== profile.name) {
+        var pinned = Persistence.getProfiles().filter(function (candidate) {
+            return candidate.name === overrides.profileName;
+        })[0];
+        if (pinned) {
+            source = layerProjectSettings(pinned, Persistence.getProjectSettings());
+        } else {
+            debugLog('Pinned profile "' + overrides.profileName + '" not found, using ' + profile.name, 'warning');
+        }
+    }
+
+    var result = JSON.parse(JSON.stringify(source));
+    EXPORT_MODE_FIELDS.forEach(function (field) {
+        result[field] = profile[field];
+    });
+    SEQUENCE_OVERRIDE_FIELDS.forEach(function (field) {
+        if (overrides[field]) {
+            result[field] = overrides[field];
+        }
+    });
+    if (typeof overrides.inoutExport === 'boolean') {
+        result.inoutExport = overrides.inoutExport;
+    }
+    return result;
+}
+
+/**
+ * Whether a batch export limits a sequence to its In/Out range
+ * Batches render whole sequences unless the sequence pins In/Out.
+ * @param {object|null} overrides - Overrides of the sequence
+ * @returns {boolean} Whether the In/Out range is used
+ */
+function getBatchInOut(overrides) {
+    return !!overrides && overrides.inoutExport === true;
+}
+
+/**
+ * Get the profile to export one sequence with, overrides included
+ * @param {string} sequenceName - Sequence name (empty for the active sequence)
+ * @param {string} nodeId - nodeId of the sequence project item, preferred over the name (may be empty)
+ * @param {function} callback - Called with the profile and the sequence info
+ */
+function getSequenceProfile(sequenceName, nodeId, callback) {
+    var profile = getActiveProfile();
+
+    getSequenceNamingInfo(sequenceName, nodeId, function (sequenceInfo) {
+        if (sequenceInfo.overrides) {
+            debugLog('Sequence overrides of ' + sequenceInfo.name + ': ' + Object.keys(sequenceInfo.overrides).join(', '), 'info');
+        }
+        callback(applySequenceOverrides(profile, sequenceInfo.overrides), sequenceInfo);
+    });
+}
+
+/**
+ * Get the profile of a single export
+ * @param {object=} exportOptions - Export settings, with the profile from getSequenceProfile()
+ * @returns {object} Export profile
+ */
+function getExportProfile(exportOptions) {
+    return exportOptions && exportOptions.profile ? exportOptions.profile : getActiveProfile();
+}
+
+/**
+ * Get the sequence details used by naming tokens from Premiere
+ * @param {string} sequenceName - Sequence name (empty for the active sequence)
+ * @param {string} nodeId - nodeId of the sequence project item, preferred over the name (may be empty)
+ * @param {function} callback - Called with the sequence info (empty object when unavailable)
+ */
+function getSequenceNamingInfo(sequenceName, nodeId, callback) {
+    var script = "ExportButton_getSequenceInfo('" + String(sequenceName || '').replace(/\\/g, '\\\\').replace(/'/g, "\\'") + "', '" +
+        String(nodeId || '').replace(/\\/g, '\\\\').replace(/'/g, "\\'") + "')";
+
+    csInterface.evalScript(script, function (result) {
+        try {
+            var info = JSON.parse(result);
+            if (info.success) {
+                callback(info);
+                return;
+            }
+            debugLog('Naming tokens unavailable: ' + info.error, 'warning');
+        } catch (e) {
+            debugLog('Naming tokens unavailable: ' + result, 'warning');
+        }
+        callback({});
+    });
+}
+
+/**
+ * Build the token values of one export for parseSuffixPattern
+ * @param {object} sequenceInfo - Result of getSequenceNamingInfo
+ * @param {string} presetPath - Preset used by the export
+ * @param {boolean} useInOut - Whether the export is limited to the In/Out range
+ * @returns {object} Token values keyed by token name
+ */
+function buildNamingTokens(sequenceInfo, presetPath, useInOut) {
+    var info = sequenceInfo || {};
+    var duration = info.duration;
+
+    // A range counts as set only when In/Out does not cover the whole sequence
+    var inPoint = parseFloat(info.inPoint) || 0;
+    var outPoint = parseFloat(info.outPoint);
+    var hasRange = useInOut === true && isFinite(outPoint) && outPoint > inPoint &&
+        (inPoint > 0 || !(duration > 0) || outPoint < duration - 0.001);
+    if (hasRange) {
+        duration = outPoint - inPoint;
+    }
+
+    var hostName = '';
+    var userName = '';
+    try {
+        hostName = os.hostname().split('.')[0];
+        userName = os.userInfo().username;
+    } catch (e) {
+        debugLog('User info unavailable: ' + e.message, 'warning');
+    }
+
+    return {
+        PROJECT: String(info.projectName || '').replace(/\.prproj$/i, ''),
+        BIN: info.binName || '',
+        WIDTH: info.width || '',
+        HEIGHT: info.height || '',
+        FPS: formatFrameRate(info.frameRate),
+        DURATION: formatDuration(duration),
+        PRESET: getPresetTokenName(presetPath),
+        USER: userName,
+        HOST: hostName,
+        INOUT: hasRange ? formatRangeTime(inPoint) + '-' + formatRangeTime(outPoint) : ''
+    };
+}
+
+/**
+ * Get the preset name used by the {PRESET} token
+ * @param {string} presetPath - Preset used by the export
+ * @returns {string} Name stored in the preset, or its file name
+ */
+function getPresetTokenName(presetPath) {
+    if (!presetPath) {
+        return '';
+    }
+    var presetInfo = EprParser.read(presetPath);
+    return (presetInfo && presetInfo.presetName) || path.basename(presetPath, path.extname(presetPath));
+}
+
+/**
+ * Parse suffix pattern and replace tokens
+ * @param {string} pattern - The suffix pattern with tokens
+ * @param {number} version - Version number
+ * @param {string} sequenceName - Name of the sequence
+ * @param {object=} tokens - Project and sequence token values from buildNamingTokens()
+ * @param {boolean=} useUtc - Use UTC instead of local time for date tokens
+ * @returns {string} Parsed suffix
+ *
+ * Supported tokens:
+ *   {V}   = version without padding (1, 2, 10, 100...)
+ *   {VV}  = version with 2 digits (01, 02, 10, 100...)
+ *   {VVV} = version with 3 digits (001, 002, 010, 100...)
+ *   {DATE} = current date (YYYY-MM-DD), {DATE:YYMMDD} for another format
+ *   {TIME} = current time (HH-mm), {TIME:HHmmss} for another format
+ *   {YEAR} / {MONTH} / {DAY} = YYYY / MM / DD
+ *   {WEEK} = ISO week number (01-53)
+ *   {SEQ}  = sequence name
+ *   {PROJECT} = project name without .prproj
+ *   {BIN}  = bin containing the sequence (empty at project root)
+ *   {WIDTH} / {HEIGHT} = sequence frame size
+ *   {FPS}  = sequence frame rate (25, 23.976...)
+ *   {DURATION} = exported duration (45s, 2m05s, 1h02m05s)
+ *   {PRESET} = preset name
+ *   {USER} / {HOST} = user and computer name
+ *   {INOUT} = In/Out range as HHMMSS-HHMMSS, only when an In/Out export has a range set
+ *
+ * A token that resolves to nothing is removed together with one adjacent separator,
+ * so "{SEQ}_{INOUT}_V{VV}" gives "Edit_V01" for a full-sequence export.
+ */
+function parseSuffixPattern(pattern, version, sequenceName, tokens, useUtc) {
+    var EMPTY_TOKEN = '\u0000';
+    var now = new Date();
+    var values = Object.assign({}, tokens || {}, {
+        SEQ: sequenceName
+    });
+
+    // Replace version tokens with appropriate padding
+    // Match {V}, {VV}, {VVV}, etc. (case insensitive)
+    var result = pattern.replace(/\{(V+)\}/gi, function (match, vChars) {
+        var padLength = vChars.length;
+        return String(version).padStart(padLength, '0');
+    });
+
+    // Replace other tokens, unknown ones and invalid date formats are left untouched
+    result = result.replace(/\{([A-Z]+)(?::([^}]*))?\}/gi, function (match, name, format) {
+        var key = name.toUpperCase();
+        if (DATE_TOKEN_FORMATS.hasOwnProperty(key)) {
+            format = format === undefined ? DATE_TOKEN_FORMATS[key] : format;
+            return validateDateFormat(format) ? match : formatDateTime(format, now, useUtc === true);
+        }
+        if (format !== undefined || !values.hasOwnProperty(key)) {
+            return match;
+        }
+        var value = sanitizeFilenamePart(values[key]);
+        return value === '' ? EMPTY_TOKEN : value;
+    });
+
+    return result.replace(/[_\-. ]\u0000|\u0000[_\-. ]?/g, '');
+}
+
+/**
+ * Version numbering scopes of a profile
+ *   folder  = scan the export folder
+ *   counter = persistent counter per sequence, never goes backwards
+ *   daily   = persistent counter per sequence, restarts at 1 every day
+ *   profile = scan every output folder of the profile
+ */
+var VERSION_SCOPES = ['folder', 'counter', 'daily', 'profile'];
+
+/**
+ * Get the key of a sequence in the stored version counters
+ * @param {object} sequenceInfo - Result of getSequenceNamingInfo
+ * @param {string} sequenceName - Sequence name used when Premiere did not answer
+ * @returns {string} Counter key
+ */
+function getVersionCounterKey(sequenceInfo, sequenceName) {
+    var info = sequenceInfo || {};
+    return (info.projectPath || '') + '|' + (info.id || sequenceName);
+}
 
-                // Determine output folder
-                if (downloadEnabled) {
-                    csInterface.evalScript('ExportButton_getSystemInfo()', function (sysResult) {
-                        try {
-                            var sysInfo = JSON.parse(sysResult);
-                            var folderPath = sysInfo.downloadsPath;
-                            queueSequenceExport(seq.name, folderPath, presetPath, hasVideo);
-                        } catch (e) {
-                            debugLog('Error getting downloads path: ' + e.message, 'error');
-                            errorCount++;
-                            currentIndex++;
-                            processNextSequence();
-                        }
-                    });
+/**
+ * Find the next free version in several folders
+ * @param {Array} folders - Folders to scan
+ * @param {string} sequenceName - Sequence name as used in filenames
+ * @param {string} extension - File extension without dot
+ * @param {string} namingPattern - Naming pattern
+ * @param {function} callback - Called with the highest next version
+ */
+function scanNextVersion(folders, sequenceName, extension, namingPattern, callback) {
+    var uniqueFolders = folders.filter(function (folderPath, index) {
+        return folderPath && folders.indexOf(folderPath) === index;
+    });
+
+    function scanFolder(index, maxVersion) {
+        if (index >= uniqueFolders.length) {
+            callback(maxVersion);
+            return;
+        }
+
+        var script = "ExportButton_getNextVersionedFilenameWithPattern('" + uniqueFolders[index].replace(/\\/g, '\\\\').replace(/'/g, "\\'") + "', '" +
+            sequenceName.replace(/\\/g, '\\\\').replace(/'/g, "\\'") + "', '" + extension + "', '" +
+            namingPattern.replace(/\\/g, '\\\\').replace(/'/g, "\\'") + "')";
+
+        csInterface.evalScript(script, function (result) {
+            var version = 1;
+            try {
+                var info = JSON.parse(result);
+                if (info.success) {
+                    version = info.version;
                 } else {
-                    csInterface.evalScript('ExportButton_getProjectExportsPath()', function (pathResult) {
-                        try {
-                            var pathInfo = JSON.parse(pathResult);
-                            if (pathInfo.success) {
-                                queueSequenceExport(seq.name, pathInfo.path, presetPath, hasVideo);
-                            } else {
-                                debugLog('EXPORTS folder error: ' + pathInfo.error, 'error');
-                                errorCount++;
-                                currentIndex++;
-                                processNextSequence();
-                            }
-                        } catch (e) {
-                            debugLog('Error getting exports path: ' + e.message, 'error');
-                            errorCount++;
-                            currentIndex++;
-                            processNextSequence();
-                        }
-                    });
+                    debugLog('Versioning error: ' + info.error, 'error');
                 }
             } catch (e) {
-                debugLog('Video check error for ' + seq.name + ': ' + e.message, 'error');
-                errorCount++;
-                currentIndex++;
-                processNextSequence();
+                debugLog('Version Parse Error: ' + result, 'error');
             }
+            scanFolder(index + 1, Math.max(maxVersion, version));
         });
+    }
 
-        function queueSequenceExport(seqName, folderPath, presetPath, hasVideo) {
-            // Clean name
-            var cleanName = seqName.replace(/[<>:"/\\|?*]/g, '_');
-            var extension = hasVideo ? 'mp4' : 'wav';
-
-            // Get naming pattern from settings
-            var namingPattern = Persistence.get(STORAGE_KEYS.SUFFIX_PATTERN) || '{SEQ}_V{V}';
-
-            // Get versioned filename
-            var safeFolderPath = folderPath.replace(/\\/g, '\\\\');
-            var safeBaseName = cleanName.replace(/'/g, "\\'");
-            var safeNamingPattern = namingPattern.replace(/'/g, "\\'");
+    scanFolder(0, 1);
+}
 
-            csInterface.evalScript("ExportButton_getNextVersionedFilenameWithPattern('" + safeFolderPath + "', '" + safeBaseName + "', '" + extension + "', '" + safeNamingPattern + "')", function (verResult) {
-                try {
-                    var verInfo = JSON.parse(verResult);
-                    var version = verInfo.success ? verInfo.version : 1;
+/**
+ * Get every folder a profile exports to (project folder, Downloads or fixed folder, deliverable subfolders)
+ * @param {object} profile - Export profile
+ * @param {string} sequenceName - Sequence name as used in filenames
+ * @param {object} sequenceInfo - Result of getSequenceNamingInfo, for tokens in the folder template
+ * @param {function} callback - Called with the folder paths
+ */
+function getProfileOutputFolders(profile, sequenceName, sequenceInfo, callback) {
+    var outputs = [
+        { presetPath: profile.videoPreset || defaultPresets.video, subfolder: '' },
+        { presetPath: profile.audioPreset || defaultPresets.audio, subfolder: '' }
+    ];
+    if (profile.useDeliverables) {
+        outputs = outputs.concat(getProfileDeliverables(profile));
+    }
 
-                    // Apply naming pattern (full filename now)
-                    var fileName = parseSuffixPattern(namingPattern, version, cleanName);
-                    var sep = (folderPath.indexOf('\\') !== -1) ? '\\' : '/';
-                    var outputPath = folderPath + sep + fileName;
-                    // Always pass a real file extension so Adobe does not truncate names containing dots.
-                    var finalOutputPath = buildExportOutputPath(outputPath, presetPath, hasVideo);
+    var targets = [];
+    [false, true].forEach(function (downloadEnabled) {
+        outputs.forEach(function (output) {
+            targets.push({ downloadEnabled: downloadEnabled, presetPath: output.presetPath, subfolder: output.subfolder });
+        });
+    });
 
-                    // Check the preset from the panel so host.jsx can bypass ExtendScript false negatives.
-                    var panelPresetExists = panelCanAccessPreset(presetPath);
-                    debugLog('Panel preset exists: ' + panelPresetExists, panelPresetExists ? 'info' : 'warning');
+    var folders = [];
+    function resolveTarget(index) {
+        if (index >= targets.length) {
+            callback(folders);
+            return;
+        }
 
-                    // Escape for ExtendScript
-                    var escapedOutput = finalOutputPath.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
-                    var escapedPreset = presetPath.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
-                    var escapedSeqName = seqName.replace(/'/g, "\\'");
+        var target = targets[index];
+        var naming = createFolderNaming(sequenceInfo, sequenceName, target.presetPath, profile, profile.inoutExport === true);
+        resolveOutputFolder(profile, target.downloadEnabled, naming, function (folderInfo) {
+            if (folderInfo.success) {
+                folders.push(joinOutputPath(folderInfo.path, target.subfolder));
+            }
+            resolveTarget(index + 1);
+        });
+    }
 
-                    var script = "ExportButton_exportSequenceByName('" + escapedSeqName + "', '" + escapedOutput + "', '" + escapedPreset + "', " + panelPresetExists + ")";
-                    debugLog('Queueing: ' + finalOutputPath.split(/[/\\]/).pop(), 'info');
+    resolveTarget(0);
+}
 
-                    csInterface.evalScript(script, function (exportResult) {
-                        try {
-                            var expInfo = JSON.parse(exportResult);
-                            if (expInfo.success) {
-                                successCount++;
-                                debugLog('Queued: ' + fileName, 'success');
-                            } else {
-                                errorCount++;
-                                debugLog('Failed: ' + seqName + ' - ' + expInfo.error, 'error');
-                            }
-                        } catch (e) {
-                            errorCount++;
-                            debugLog('Export error: ' + e.message, 'error');
-                        }
+/**
+ * Resolve the version of an export according to the version scope of the profile
+ * A version set manually from the settings is used once, whatever the scope.
+ * @param {object} options - {profile, sequenceName, sequenceInfo, folders, extension, reserve}
+ *   folders are the output folders of this export, reserve stores the version as used
+ * @param {function} callback - Called with the version number
+ */
+function resolveExportVersion(options, callback) {
+    var profile = options.profile;
+    var scope = VERSION_SCOPES.indexOf(profile.versionScope) !== -1 ? profile.versionScope : 'folder';
+    var namingPattern = profile.suffixPattern || DEFAULT_PROFILE.suffixPattern;
+    var key = getVersionCounterKey(options.sequenceInfo, options.sequenceName);
+    var today = formatDateTime('YYYY-MM-DD', new Date(), false);
+
+    function finish(scannedVersion) {
+        var counters = Persistence.getObject(STORAGE_KEYS.VERSION_COUNTERS) || {};
+        var record = counters[key];
+        var version = scannedVersion;
+
+        if (record && record.manual) {
+            version = record.next;
+        } else if (scope === 'counter') {
+            version = Math.max(record ? record.next : 1, scannedVersion);
+        } else if (scope === 'daily') {
+            version = record && record.day === today ? record.next : 1;
+        }
 
-                        currentIndex++;
-                        processNextSequence();
-                    });
-                } catch (e) {
-                    debugLog('Version error: ' + e.message, 'error');
-                    errorCount++;
-                    currentIndex++;
-                    processNextSequence();
-                }
-            });
+        if (options.reserve) {
+            if (scope === 'counter' || scope === 'daily') {
+                counters[key] = { next: version + 1, day: today, sequence: options.sequenceName };
+                Persistence.setObject(STORAGE_KEYS.VERSION_COUNTERS, counters);
+            } else if (record) {
+                delete counters[key];
+                Persistence.setObject(STORAGE_KEYS.VERSION_COUNTERS, counters);
+            }
+            debugLog('Version ' + version + ' (' + scope + ' scope)', 'info');
         }
+        callback(version);
     }
 
-    // Start processing
-    processNextSequence();
+    if (scope === 'daily') {
+        finish(1);
+    } else if (scope === 'profile') {
+        getProfileOutputFolders(profile, options.sequenceName, options.sequenceInfo, function (folders) {
+            scanNextVersion(options.folders.concat(folders), options.sequenceName, options.extension, namingPattern, finish);
+        });
+    } else {
+        scanNextVersion(options.folders, options.sequenceName, options.extension, namingPattern, finish);
+    }
 }
 
 /**
- * Handle single sequence export (active sequence)
+ * Set the next version of a sequence by hand; it is used once by the next export
+ * @param {object} sequenceInfo - Result of getSequenceNamingInfo
+ * @param {string} sequenceName - Sequence name as used in filenames
+ * @param {number} version - Next version
  */
-function handleSingleExport() {
-    debugLog('Calling getActiveSequence()...', 'info');
-    csInterface.evalScript('ExportButton_getActiveSequence()', function (result) {
-        debugLog('getActiveSequence result: ' + result, result ? 'info' : 'error');
+function setNextVersion(sequenceInfo, sequenceName, version) {
+    var counters = Persistence.getObject(STORAGE_KEYS.VERSION_COUNTERS) || {};
+    counters[getVersionCounterKey(sequenceInfo, sequenceName)] = {
+        next: version,
+        day: formatDateTime('YYYY-MM-DD', new Date(), false),
+        sequence: sequenceName,
+        manual: true
+    };
+    Persistence.setObject(STORAGE_KEYS.VERSION_COUNTERS, counters);
+}
 
-        try {
-            if (!result || result === 'undefined' || result.indexOf('Error') === 0 || result.indexOf('EvalScript') === 0) {
-                setStatus('Script error - check log', 'error');
-                debugLog('ExtendScript error: ' + result, 'error');
-                return;
-            }
+/**
+ * Get versioned filename and export
+ * @param {string} folderPath - Path to the export folder
+ * @param {string} baseName - Base name of the file (sequence name)
+ * @param {string} presetPath - Path to the preset file
+ * @param {boolean} hasVideo - Whether the sequence has video
+ * @param {object} exportOptions - Forced export settings and sequence profile
+ * @param {object} sequenceInfo - Result of getSequenceNamingInfo for the active sequence
+ */
+function getVersionedFilenameAndExport(folderPath, baseName, presetPath, hasVideo, exportOptions, sequenceInfo) {
+    var profile = getExportProfile(exportOptions);
 
-            var seqInfo = JSON.parse(result);
-            debugLog('Parsed sequence info: ' + JSON.stringify(seqInfo), 'success');
+    // Get naming pattern from the profile (now full filename pattern, not suffix)
+    var namingPattern = profile.suffixPattern || DEFAULT_PROFILE.suffixPattern;
 
-            if (!seqInfo.success) {
-                setStatus(seqInfo.error || 'No active sequence', 'error');
-                debugLog('No active sequence: ' + seqInfo.error, 'error');
-                return;
-            }
+    // Check if path has trailing slash
+    var sep = (folderPath.indexOf('\\') !== -1) ? '\\' : '/';
+    if (folderPath.slice(-1) === sep && folderPath.length > 1) {
+        folderPath = folderPath.slice(0, -1);
+    }
 
-            debugLog('Sequence name: ' + seqInfo.name, 'success');
-            checkVideoAndExport(seqInfo.name);
+    var tokens = buildNamingTokens(sequenceInfo, presetPath, profile.inoutExport === true);
+    debugLog('Getting version...', 'info');
 
-        } catch (e) {
-            setStatus('Error: ' + e.message, 'error');
-            debugLog('Parse error: ' + e.message + ' | Raw result: ' + result, 'error');
-        }
+    resolveExportVersion({
+        profile: profile,
+        sequenceName: baseName,
+        sequenceInfo: sequenceInfo,
+        folders: [folderPath],
+        extension: getExtensionFromPreset(presetPath, hasVideo).slice(1),
+        reserve: true
+    }, function (version) {
+        // Pattern IS the full filename now (not suffix)
+        var finalFilename = parseSuffixPattern(namingPattern, version, baseName, tokens, profile.utcTime === true);
+        var finalPath = folderPath + sep + finalFilename;
+
+        debugLog('Version found: ' + finalFilename, 'info');
+
+        // The history keeps which sequence was rendered so it can be re-exported by nodeId
+        executeExport(finalPath, presetPath, hasVideo, finalFilename, Object.assign({}, exportOptions, {
+            sequenceName: sequenceInfo.name || baseName,
+            nodeId: sequenceInfo.nodeId || (exportOptions && exportOptions.nodeId) || ''
+        }), version);
     });
 }
 
 /**
- * Handle a single active-sequence export with a forced SpellBook combo.
- * @param {object} exportOptions - Forced export settings
+ * Join a folder and a relative name using the separator already used by the folder
+ * @param {string} folderPath - Base folder
+ * @param {string} name - File name or relative subfolder (may contain / or \)
+ * @returns {string} Joined path
  */
-function handleForcedSingleExport(exportOptions) {
-    setStatus('Checking...', 'warning');
-    debugLog('Calling getActiveSequence() for ' + exportOptions.label + '...', 'info');
-
-    csInterface.evalScript('ExportButton_getActiveSequence()', function (result) {
-        debugLog('getActiveSequence result: ' + result, result ? 'info' : 'error');
-
-        try {
-            if (!result || result === 'undefined' || result.indexOf('Error') === 0 || result.indexOf('EvalScript') === 0) {
-                setStatus('Script error - check log', 'error');
-                debugLog('ExtendScript error: ' + result, 'error');
-                return;
-            }
+function joinOutputPath(folderPath, name) {
+    var sep = (folderPath.indexOf('\\') !== -1) ? '\\' : '/';
+    var cleanName = String(name || '').replace(/[\\/]+/g, sep).replace(/^[\\/]+|[\\/]+$/g, '');
 
-            var seqInfo = JSON.parse(result);
-            if (!seqInfo.success) {
-                setStatus(seqInfo.error || 'No active sequence', 'error');
-                debugLog('No active sequence: ' + seqInfo.error, 'error');
-                return;
-            }
+    if (!cleanName) {
+        return folderPath;
+    }
+    if (folderPath.slice(-1) === sep) {
+        return folderPath + cleanName;
+    }
+    return folderPath + sep + cleanName;
+}
 
-            exportForcedMediaKind(seqInfo.name, exportOptions);
-        } catch (e) {
-            setStatus('Error: ' + e.message, 'error');
-            debugLog('Parse error: ' + e.message + ' | Raw result: ' + result, 'error');
-        }
+/**
+ * Get the deliverables of a profile that have a preset configured
+ * @param {object} profile - Export profile
+ * @returns {Array} Deliverables {presetPath, subfolder}
+ */
+function getProfileDeliverables(profile) {
+    return (profile.deliverables || []).filter(function (deliverable) {
+        return deliverable && deliverable.presetPath;
     });
 }
 
 /**
- * Select the requested preset type and continue through normal output naming.
- * @param {string} sequenceName - Name of the active sequence
- * @param {object} exportOptions - Forced export settings
+ * Export the deliverable set of the active profile for one sequence
+ * Every deliverable shares one version number; they are queued in Media Encoder in one call.
+ * @param {string} sequenceName - Name of the sequence
+ * @param {object} profile - Active profile with the overrides of the sequence applied
+ * @param {string=} nodeId - nodeId of the sequence project item, preferred over the name
  */
-function exportForcedMediaKind(sequenceName, exportOptions) {
-    // SpellBook commands intentionally force video+audio or audio-only instead of auto-detecting tracks.
-    var hasVideo = exportOptions.hasVideo === true;
-    var presetPath = hasVideo
-        ? (Persistence.get(STORAGE_KEYS.VIDEO_PRESET) || defaultPresets.video)
-        : (Persistence.get(STORAGE_KEYS.AUDIO_PRESET) || defaultPresets.audio);
+function exportDeliverableSet(sequenceName, profile, nodeId) {
+    var downloadEnabled = document.getElementById('download-checkbox').checked;
 
-    if (!presetPath) {
-        setStatus('No preset configured', 'error');
+    if (getProfileDeliverables(profile).length === 0) {
+        setStatus('No deliverables configured', 'error');
         openSettingsModal();
         return;
     }
 
-    determineOutputPath(sequenceName, presetPath, hasVideo, exportOptions);
+    setStatus('Queueing deliverables...', 'warning');
+    runBatchExport([{ name: sequenceName, nodeId: nodeId }], {
+        profile: profile,
+        downloadEnabled: downloadEnabled,
+        profileInOut: true
+    }, function (batchInfo) {
+        var item = batchInfo.items[0];
+        var summary = recordBatchItem(item);
+        var statusType = summary.failed > 0 ? 'error' : 'success';
+        setStatus(summary.queued + ' deliverables queued (V' + item.version + ')', statusType);
+        debugLog('Deliverable set: ' + summary.queued + ' queued, ' + summary.skipped + ' skipped, ' + summary.failed + ' failed', statusType);
+    });
 }
 
 /**
- * Check if sequence has video and proceed with export
- * @param {string} sequenceName - Name of the sequence
+ * Read Adobe Media Encoder .epr presets from the panel.
+ * Premiere does not expose the container of a preset, so the XML is parsed with Node
+ * to find the exporter, file type, codec and audio-only flag before naming the output.
  */
-function checkVideoAndExport(sequenceName) {
-    csInterface.evalScript('ExportButton_hasVideoTracks()', function (result) {
-        try {
-            var videoInfo = JSON.parse(result);
-            var hasVideo = videoInfo.hasVideo;
+var EprParser = {
+    cache: {},
+
+    // Exporter and file type four-character codes mapped to the extension AME writes.
+    FOURCC_EXTENSIONS: {
+        'H264': '.mp4',
+        'HEVC': '.mp4',
+        'H265': '.mp4',
+        'MP4 ': '.mp4',
+        'MooV': '.mov',
+        'MOOV': '.mov',
+        'MXFX': '.mxf',
+        'MXF ': '.mxf',
+        'OP1A': '.mxf',
+        'DNxH': '.mxf',
+        'AVIV': '.avi',
+        'AVI ': '.avi',
+        'WEBM': '.webm',
+        'WAVE': '.wav',
+        'WAV ': '.wav',
+        'AIFF': '.aif',
+        'MP3 ': '.mp3',
+        'MPA ': '.mp3',
+        'AAC ': '.aac',
+        'GIFA': '.gif',
+        'GIF ': '.gif'
+    },
 
-            // Determine which preset to use
-            var presetPath;
-            if (hasVideo) {
-                presetPath = Persistence.get(STORAGE_KEYS.VIDEO_PRESET) || defaultPresets.video;
-            } else {
-                presetPath = Persistence.get(STORAGE_KEYS.AUDIO_PRESET) || defaultPresets.audio;
+    // Exporter display names checked when the four-character codes are unknown.
+    EXPORTER_NAME_EXTENSIONS: [
+        { match: /hevc|h\.?265/i, extension: '.mp4' },
+        { match: /h\.?264/i, extension: '.mp4' },
+        { match: /quicktime/i, extension: '.mov' },
+        { match: /mxf|dnxh/i, extension: '.mxf' },
+        { match: /\bavi\b/i, extension: '.avi' },
+        { match: /webm|vp9|vp8/i, extension: '.webm' },
+        { match: /waveform|wave?\b/i, extension: '.wav' },
+        { match: /aiff/i, extension: '.aif' },
+        { match: /mp3/i, extension: '.mp3' },
+        { match: /aac/i, extension: '.aac' },
+        { match: /gif/i, extension: '.gif' }
+    ],
+
+    // Extensions that can only carry audio, so presets using them are audio-only.
+    AUDIO_EXTENSIONS: ['.wav', '.aif', '.mp3', '.aac'],
+
+    // Parameter identifiers AME uses for the "Export Video" switch.
+    VIDEO_TOGGLE_PARAMS: ['ADBEExportVideo', 'ADBEVideoExport'],
+
+    /**
+     * Parse a preset file, reusing the cached result while the file is unchanged.
+     * @param {string} presetPath - Path to the .epr file
+     * @returns {object|null} Parsed preset info, or null when the file cannot be read
+     */
+    read: function (presetPath) {
+        if (!presetPath) {
+            return null;
+        }
+
+        try {
+            var stats = fs.statSync(presetPath);
+            var cached = this.cache[presetPath];
+            if (cached && cached.mtimeMs === stats.mtimeMs) {
+                return cached.info;
             }
 
-            if (!presetPath) {
-                setStatus('No preset configured', 'error');
-                openSettingsModal();
+            var info = this.parse(fs.readFileSync(presetPath, 'utf8'));
+            this.cache[presetPath] = { mtimeMs: stats.mtimeMs, info: info };
+            return info;
+        } catch (e) {
+            console.warn('[EprParser] Unable to read preset:', presetPath, e);
+            return null;
+        }
+    },
+
+    /**
+     * Read a preset without blocking the panel, sharing the cache of read()
+     * @param {string} presetPath - Path to the .epr file
+     * @param {function} callback - Called with the parsed info, or null when the file cannot be read
+     */
+    readAsync: function (presetPath, callback) {
+        var self = this;
+        fs.stat(presetPath, function (statError, stats) {
+            if (statError) {
+                console.warn('[EprParser] Unable to read preset:', presetPath, statError);
+                callback(null);
+                return;
+            }
+            var cached = self.cache[presetPath];
+            if (cached && cached.mtimeMs === stats.mtimeMs) {
+                callback(cached.info);
                 return;
             }
 
-            // Determine output path
-            determineOutputPath(sequenceName, presetPath, hasVideo);
+            fs.readFile(presetPath, 'utf8', function (readError, xml) {
+                var info = null;
+                try {
+                    if (readError) {
+                        throw readError;
+                    }
+                    info = self.parse(xml);
+                    self.cache[presetPath] = { mtimeMs: stats.mtimeMs, info: info };
+                } catch (e) {
+                    console.warn('[EprParser] Unable to read preset:', presetPath, e);
+                }
+                callback(info);
+            });
+        });
+    },
 
-        } catch (e) {
-            setStatus('Error: ' + e.message, 'error');
+    /**
+     * Extract the export format details from .epr XML.
+     * @param {string} xml - Raw preset XML
+     * @returns {object|null} Preset info, or null when the XML is not an AME preset
+     */
+    parse: function (xml) {
+        if (!xml || xml.indexOf('<ExporterClassID>') === -1 && xml.indexOf('<ExporterName>') === -1) {
+            return null;
+        }
+
+        var params = this.readParams(xml);
+        var info = {
+            presetName: this.readTag(xml, 'PresetName'),
+            exporterName: this.readTag(xml, 'ExporterName'),
+            exporterClass: this.decodeFourCC(this.readTag(xml, 'ExporterClassID')),
+            fileType: this.decodeFourCC(this.readTag(xml, 'ExporterFileType')),
+            videoCodec: this.decodeFourCC(params.ADBEVideoCodec || ''),
+            audioCodec: this.decodeFourCC(params.ADBEAudioCodec || ''),
+            width: parseInt(params.ADBEVideoWidth, 10) || 0,
+            height: parseInt(params.ADBEVideoHeight, 10) || 0,
+            videoBitrate: parseFloat(params.ADBEVideoTargetBitrate) || 0,
+            audioBitrate: parseFloat(params.ADBEAudioBitrate) || 0,
+            audioSampleRate: parseFloat(params.ADBEAudioRatePerSecond) || 0,
+            audioOnly: false,
+            extension: null
+        };
+
+        info.extension = this.resolveExtension(info);
+
+        var videoDisabled = this.VIDEO_TOGGLE_PARAMS.some(function (paramId) {
+            return String(params[paramId]).toLowerCase() === 'false';
+        });
+        info.audioOnly = videoDisabled || this.AUDIO_EXTENSIONS.indexOf(info.extension) !== -1;
+
+        return info;
+    },
+
+    /**
+     * Summarise a parsed preset for the preset browser.
+     * @param {object} info - Result of parse()
+     * @returns {string} e.g. "avc1 · 1920x1080 · 10 Mbps"
+     */
+    describe: function (info) {
+        var parts = [];
+
+        // Some exporters store the codec as a small index rather than a readable code
+        [info.audioOnly ? '' : info.videoCodec, info.audioCodec].forEach(function (codec) {
+            if (/^[\x20-\x7e]{4}$/.test(codec)) {
+                parts.push(codec.trim());
+            }
+        });
+        if (!info.audioOnly && info.width && info.height) {
+            parts.push(info.width + 'x' + info.height);
+        }
+        if (!info.audioOnly && info.videoBitrate) {
+            parts.push(info.videoBitrate + ' Mbps');
+        }
+        if (info.audioOnly && info.audioBitrate) {
+            parts.push(info.audioBitrate + ' kbps');
+        }
+        if (info.audioOnly && info.audioSampleRate) {
+            parts.push((info.audioSampleRate / 1000) + ' kHz');
+        }
+        if (info.audioOnly) {
+            parts.push('Audio only');
+        }
+
+        return parts.join(' · ');
+    },
+
+    /**
+     * Pick the extension from the file type first, then the exporter class and name.
+     * @param {object} info - Partially parsed preset info
+     * @returns {string|null} Extension with dot, or null when the format is unknown
+     */
+    resolveExtension: function (info) {
+        var fourCCs = [info.fileType, info.exporterClass];
+        for (var i = 0; i < fourCCs.length; i++) {
+            if (fourCCs[i] && this.FOURCC_EXTENSIONS.hasOwnProperty(fourCCs[i])) {
+                return this.FOURCC_EXTENSIONS[fourCCs[i]];
+            }
         }
-    });
-}
+
+        if (info.exporterName) {
+            for (var j = 0; j < this.EXPORTER_NAME_EXTENSIONS.length; j++) {
+                if (this.EXPORTER_NAME_EXTENSIONS[j].match.test(info.exporterName)) {
+                    return this.EXPORTER_NAME_EXTENSIONS[j].extension;
+                }
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * Read the text of the first element with the given tag name.
+     * @param {string} xml - Raw preset XML
+     * @param {string} tagName - Element name
+     * @returns {string} Decoded element text, or an empty string
+     */
+    readTag: function (xml, tagName) {
+        var match = new RegExp('<' + tagName + '(?:\\s[^>]*)?>([^<]*)</' + tagName + '>').exec(xml);
+        return match ? this.decodeEntities(match[1]).trim() : '';
+    },
+
+    /**
+     * Collect exporter parameters as an identifier to value map.
+     * @param {string} xml - Raw preset XML
+     * @returns {object} Parameter values keyed by ParamIdentifier
+     */
+    readParams: function (xml) {
+        var params = {};
+        var chunks = xml.split('<ParamIdentifier>');
+
+        // Each chunk starts with one identifier and holds its value before the next identifier.
+        for (var i = 1; i < chunks.length; i++) {
+            var idEnd = chunks[i].indexOf('</ParamIdentifier>');
+            if (idEnd === -1) {
+                continue;
+            }
+
+            var paramId = chunks[i].slice(0, idEnd).trim();
+            var valueMatch = /<ParamValue>([^<]*)<\/ParamValue>/.exec(chunks[i]);
+            if (paramId && valueMatch && !params.hasOwnProperty(paramId)) {
+                params[paramId] = this.decodeEntities(valueMatch[1]).trim();
+            }
+        }
+
+        return params;
+    },
+
+    /**
+     * Turn the decimal four-character codes stored in .epr files back into text.
+     * @param {string} value - Decimal code or already readable code
+     * @returns {string} Four-character code, or the trimmed input when it is not numeric
+     */
+    decodeFourCC: function (value) {
+        var text = String(value || '').trim();
+        if (!/^\d+$/.test(text)) {
+            return text;
+        }
+
+        var code = parseInt(text, 10);
+        if (code < 0x20202020 || code > 0xFFFFFFFF) {
+            return text;
+        }
+
+        return String.fromCharCode((code >>> 24) & 0xFF, (code >>> 16) & 0xFF, (code >>> 8) & 0xFF, code & 0xFF);
+    },
+
+    /**
+     * Decode the XML entities AME writes inside text nodes.
+     * @param {string} text - Raw element text
+     * @returns {string} Decoded text
+     */
+    decodeEntities: function (text) {
+        return text
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'")
+            .replace(/&amp;/g, '&');
+    }
+};
 
 /**
- * Determine output path and proceed with export
- * @param {string} sequenceName - Name of the sequence
- * @param {string} presetPath - Path to the preset file
- * @param {boolean} hasVideo - Whether the sequence has video
- * @param {object=} exportOptions - Optional forced export settings
+ * Media Encoder presets found on this computer, listed by the preset browser.
+ * System presets of every installed Media Encoder version and the user preset folders are scanned once per session,
+ * in the background the first time the preset browser opens.
  */
-function determineOutputPath(sequenceName, presetPath, hasVideo, exportOptions) {
-    var downloadEnabled = document.getElementById('download-checkbox').checked;
+var PresetLibrary = {
+    presets: null,
 
-    // Clean sequence name for use as filename
-    var cleanName = sequenceName.replace(/[<>:"/\\|?*]/g, '_');
+    // Callbacks waiting for the scan in progress, null when no scan runs
+    waiting: null,
 
-    // Get custom settings
-    var customExportFolder = Persistence.get(STORAGE_KEYS.EXPORT_FOLDER) || 'EXPORTS';
-    var folderDepth = parseInt(Persistence.get(STORAGE_KEYS.FOLDER_DEPTH) || '0', 10);
-    var fixedFolder = Persistence.get(STORAGE_KEYS.FIXED_FOLDER) || '';
+    // Preset subfolders scanned at most this deep, system presets sit one level down
+    MAX_DEPTH: 4,
 
-    if (downloadEnabled) {
-        // Check for fixed folder path
-        if (fixedFolder && fixedFolder.trim() !== '') {
-            // Use custom fixed folder
-            getVersionedFilenameAndExport(fixedFolder, cleanName, presetPath, hasVideo, exportOptions);
-        } else {
-            // Use default Downloads folder
-            csInterface.evalScript('ExportButton_getSystemInfo()', function (result) {
-                try {
-                    var info = JSON.parse(result);
-                    var folderPath = info.downloadsPath;
-                    getVersionedFilenameAndExport(folderPath, cleanName, presetPath, hasVideo, exportOptions);
-                } catch (e) {
-                    setStatus('Error getting downloads path', 'error');
-                }
+    /**
+     * Get the presets found by the last scan
+     * @returns {Array} [{path, name, source, format, details, audioOnly}] sorted by name, empty before the first scan
+     */
+    getPresets: function () {
+        return this.presets || [];
+    },
+
+    /**
+     * Scan the preset folders the first time, without blocking the panel
+     * @param {boolean} rescan - Scan again, e.g. after presets were added in Media Encoder
+     * @param {function} callback - Called with the presets once the scan is done
+     */
+    load: function (rescan, callback) {
+        if (this.presets && !rescan) {
+            callback(this.presets);
+            return;
+        }
+        if (this.waiting) {
+            this.waiting.push(callback);
+            return;
+        }
+
+        var self = this;
+        var presets = [];
+        var folders = this.getFolders();
+        this.waiting = [callback];
+
+        function scanFolder(index) {
+            if (index >= folders.length) {
+                self.presets = presets.sort(function (a, b) {
+                    return a.name.localeCompare(b.name);
+                });
+                var waiting = self.waiting;
+                self.waiting = null;
+                waiting.forEach(function (waitingCallback) {
+                    waitingCallback(self.presets);
+                });
+                return;
+            }
+            self.collect(folders[index].folder, folders[index].source, 0, presets, function () {
+                scanFolder(index + 1);
             });
         }
-    } else {
-        // Export to project folder with custom folder name and depth
-        var safefolderName = customExportFolder.replace(/'/g, "\\'");
-        csInterface.evalScript("ExportButton_getProjectExportsPathWithDepth('" + safefolderName + "', " + folderDepth + ")", function (result) {
-            try {
-                var pathInfo = JSON.parse(result);
 
-                if (!pathInfo.success) {
-                    setStatus(pathInfo.error || 'Cannot find export folder', 'error');
+        scanFolder(0);
+    },
+
+    /**
+     * List the folders to scan: system presets of each Media Encoder version, newest first, then user presets
+     * @returns {Array} [{source, folder}]
+     */
+    getFolders: function () {
+        var folders = getAMESystemPresetFolders().map(function (install) {
+            return { source: 'AME ' + install.version, folder: install.folder };
+        });
+
+        // User presets live in one folder per Media Encoder version, e.g. "25.0/Presets"
+        var userBase = path.join(getDocumentsFolder(), 'Adobe', 'Adobe Media Encoder');
+        var versions = [];
+        try {
+            versions = fs.readdirSync(userBase);
+        } catch (e) {
+            // Media Encoder was never started with this account
+        }
+        versions.sort().reverse().forEach(function (version) {
+            var folder = path.join(userBase, version, 'Presets');
+            if (fs.existsSync(folder)) {
+                folders.push({ source: 'User ' + version, folder: folder });
+            }
+        });
+
+        return folders;
+    },
+
+    /**
+     * Add the .epr files of a folder and its subfolders to a list
+     * @param {string} folder - Folder to read
+     * @param {string} source - Label of the folder shown next to each preset
+     * @param {number} depth - Current subfolder depth
+     * @param {Array} presets - List to fill
+     * @param {function} callback - Called once the folder and its subfolders are read
+     */
+    collect: function (folder, source, depth, presets, callback) {
+        var self = this;
+        fs.readdir(folder, { withFileTypes: true }, function (error, entries) {
+            if (error) {
+                console.warn('[PresetLibrary] Unable to read folder:', folder, error);
+                callback();
+                return;
+            }
+
+            function collectEntry(index) {
+                if (index >= entries.length) {
+                    callback();
                     return;
                 }
 
-                getVersionedFilenameAndExport(pathInfo.path, cleanName, presetPath, hasVideo, exportOptions);
-
-            } catch (e) {
-                setStatus('Error: ' + e.message, 'error');
+                var entry = entries[index];
+                var entryPath = path.join(folder, entry.name);
+                if (entry.isDirectory() && depth < self.MAX_DEPTH) {
+                    self.collect(entryPath, source, depth + 1, presets, function () {
+                        collectEntry(index + 1);
+                    });
+                } else if (entry.isFile() && /\.epr$/i.test(entry.name)) {
+                    EprParser.readAsync(entryPath, function (info) {
+                        presets.push({
+                            path: entryPath,
+                            name: (info && info.presetName) || entry.name.replace(/\.epr$/i, ''),
+                            source: source,
+                            format: self.getFormat(info),
+                            details: info ? EprParser.describe(info) : 'Could not read preset',
+                            audioOnly: !!(info && info.audioOnly)
+                        });
+                        collectEntry(index + 1);
+                    });
+                } else {
+                    collectEntry(index + 1);
+                }
             }
-        });
-    }
-}
 
-/**
- * Parse suffix pattern and replace tokens
- * @param {string} pattern - The suffix pattern with tokens
- * @param {number} version - Version number
- * @param {string} sequenceName - Name of the sequence
- * @returns {string} Parsed suffix
- *
- * Supported tokens:
- *   {V}   = version without padding (1, 2, 10, 100...)
- *   {VV}  = version with 2 digits (01, 02, 10, 100...)
- *   {VVV} = version with 3 digits (001, 002, 010, 100...)
- *   {DATE} = current date (YYYY-MM-DD)
- *   {TIME} = current time (HH-MM)
- *   {SEQ}  = sequence name
- */
-function parseSuffixPattern(pattern, version, sequenceName) {
-    var now = new Date();
-    var dateStr = now.getFullYear() + '-' +
-        String(now.getMonth() + 1).padStart(2, '0') + '-' +
-        String(now.getDate()).padStart(2, '0');
-    var timeStr = String(now.getHours()).padStart(2, '0') + '-' +
-        String(now.getMinutes()).padStart(2, '0');
+            collectEntry(0);
+        });
+    },
 
-    // Replace version tokens with appropriate padding
-    // Match {V}, {VV}, {VVV}, etc. (case insensitive)
-    var result = pattern.replace(/\{(V+)\}/gi, function (match, vChars) {
-        var padLength = vChars.length;
-        return String(version).padStart(padLength, '0');
-    });
+    /**
+     * Name the group a preset is listed under
+     * @param {object|null} info - Parsed preset
+     * @returns {string} Exporter name such as "H.264", or the file extension
+     */
+    getFormat: function (info) {
+        if (!info) {
+            return 'Other';
+        }
+        return info.exporterName || (info.extension ? info.extension.slice(1).toUpperCase() : 'Other');
+    },
 
-    // Replace other tokens
-    result = result
-        .replace(/\{DATE\}/gi, dateStr)
-        .replace(/\{TIME\}/gi, timeStr)
-        .replace(/\{SEQ\}/gi, sequenceName);
+    /**
+     * Keep the presets matching every word of a search
+     * @param {Array} presets - Presets from getPresets()
+     * @param {string} search - Words matched against name, format, details and source
+     * @returns {Array} Matching presets
+     */
+    filter: function (presets, search) {
+        var words = String(search || '').toLowerCase().split(/\s+/).filter(Boolean);
+        if (words.length === 0) {
+            return presets;
+        }
 
-    return result;
-}
+        return presets.filter(function (preset) {
+            var text = [preset.name, preset.format, preset.details, preset.source].join(' ').toLowerCase();
+            return words.every(function (word) {
+                return text.indexOf(word) !== -1;
+            });
+        });
+    }
+};
 
 /**
- * Get versioned filename and export
- * @param {string} folderPath - Path to the export folder
- * @param {string} baseName - Base name of the file (sequence name)
+ * Detect file extension from the preset
+ * Since Premiere's exportAsMediaDirect doesn't auto-detect extension from .epr,
+ * we read the container from the preset XML and only fall back to the preset name
  * @param {string} presetPath - Path to the preset file
- * @param {boolean} hasVideo - Whether the sequence has video
- * @param {object=} exportOptions - Optional forced export settings
+ * @param {boolean} hasVideo - Whether the sequence has video (fallback)
+ * @returns {string} File extension with dot (e.g., '.mp4', '.mov')
  */
-function getVersionedFilenameAndExport(folderPath, baseName, presetPath, hasVideo, exportOptions) {
-    // Determine extension based on preset
-    var extension = hasVideo ? "mp4" : "wav";
-
-    // Get naming pattern from settings (now full filename pattern, not suffix)
-    var namingPattern = Persistence.get(STORAGE_KEYS.SUFFIX_PATTERN) || '{SEQ}_V{V}';
-
-    // Check if path has trailing slash
-    var sep = (folderPath.indexOf('\\') !== -1) ? '\\' : '/';
-    if (folderPath.slice(-1) === sep && folderPath.length > 1) {
-        folderPath = folderPath.slice(0, -1);
+function getExtensionFromPreset(presetPath, hasVideo) {
+    var presetInfo = EprParser.read(presetPath);
+    if (presetInfo && presetInfo.extension) {
+        return presetInfo.extension;
     }
 
-    // Escape for ExtendScript
-    var safeFolderPath = folderPath.replace(/\\/g, '\\\\');
-    var safeBaseName = baseName.replace(/'/g, "\\'");
-    var safeNamingPattern = namingPattern.replace(/'/g, "\\'");
-
-    // Pass pattern to ExtendScript for version detection
-    var script = "ExportButton_getNextVersionedFilenameWithPattern('" + safeFolderPath + "', '" + safeBaseName + "', '" + extension + "', '" + safeNamingPattern + "')";
-    debugLog('Getting version...', 'info');
-
-    csInterface.evalScript(script, function (result) {
-        try {
-            var info = JSON.parse(result);
-            if (info.success) {
-                // Parse naming pattern with the version number
-                // Pattern IS the full filename now (not suffix)
-                var finalFilename = parseSuffixPattern(namingPattern, info.version, baseName);
-                var finalPath = folderPath + sep + finalFilename;
-
-                debugLog('Version found: ' + finalFilename, 'info');
-                executeExport(finalPath, presetPath, hasVideo, finalFilename, exportOptions);
-            } else {
-                debugLog('Versioning error: ' + info.error, 'error');
-                // Fallback to V1
-                var fallbackName = parseSuffixPattern(namingPattern, 1, baseName);
-                var fullPath = folderPath + sep + fallbackName;
-                executeExport(fullPath, presetPath, hasVideo, fallbackName, exportOptions);
-            }
-        } catch (e) {
-            setStatus('Error getting version', 'error');
-            debugLog('Version Parse Error: ' + result, 'error');
-            // Fallback with default pattern
-            var fallbackName = parseSuffixPattern('{SEQ}_V1', 1, baseName);
-            var fullPath = folderPath + sep + fallbackName;
-            executeExport(fullPath, presetPath, hasVideo, fallbackName, exportOptions);
-        }
-    });
+    debugLog('Could not read format from preset file, matching preset name', 'info');
+    return getExtensionFromPresetName(presetPath, hasVideo);
 }
 
 /**
- * Detect file extension from preset name/path
- * Since Premiere's exportAsMediaDirect doesn't auto-detect extension from .epr,
- * we infer it from the preset name using common patterns
+ * Infer file extension from the preset name using common patterns
  * @param {string} presetPath - Path to the preset file
  * @param {boolean} hasVideo - Whether the sequence has video (fallback)
  * @returns {string} File extension with dot (e.g., '.mp4', '.mov')
  */
-function getExtensionFromPreset(presetPath, hasVideo) {
+function getExtensionFromPresetName(presetPath, hasVideo) {
     // Get just the preset filename (lowercase for matching)
     var presetName = presetPath.split(/[/\\]/).pop().toLowerCase();
 
@@ -1658,6 +6334,253 @@ function buildExportOutputPath(outputPath, presetPath, hasVideo) {
     return outputPath + extension;
 }
 
+/**
+ * What to do when the output file already exists
+ *   increment = export as name_2, name_3... (default)
+ *   overwrite = replace the existing file
+ *   skip      = do not export
+ *   prompt    = ask for every collision
+ */
+var COLLISION_POLICIES = ['increment', 'overwrite', 'skip', 'prompt'];
+
+// Collisions waiting for an answer in the prompt modal
+var collisionPrompts = [];
+
+// Output paths picked by a batch plan that are not queued yet
+var plannedOutputPaths = [];
+
+/**
+ * Check whether an output path is already used by a file or by a job still rendering in AME
+ * @param {string} outputPath - Final output path with extension
+ * @returns {boolean} Whether the path is taken
+ */
+function isOutputPathTaken(outputPath) {
+    var pending = plannedOutputPaths.indexOf(outputPath) !== -1 || exportJobs.some(function (job) {
+        return job.outputPath === outputPath && (job.state === 'queued' || job.state === 'encoding');
+    });
+
+    try {
+        return pending || fs.existsSync(outputPath);
+    } catch (e) {
+        debugLog('Output check failed: ' + e.message, 'error');
+        return pending;
+    }
+}
+
+/**
+ * Get the first free path with a numbered suffix (MyEdit_2026-01-09_2.mp4)
+ * @param {string} outputPath - Final output path with extension
+ * @returns {string} Free output path
+ */
+function getIncrementedOutputPath(outputPath) {
+    var extension = path.extname(outputPath);
+    var stem = outputPath.slice(0, outputPath.length - extension.length);
+    var index = 2;
+
+    while (isOutputPathTaken(stem + '_' + index + extension)) {
+        index++;
+    }
+    return stem + '_' + index + extension;
+}
+
+/**
+ * Apply the collision policy of the profile to the final output path
+ * @param {string} outputPath - Final output path with extension
+ * @param {string} policy - One of COLLISION_POLICIES
+ * @param {function} callback - Called with the path to export to, or null to skip the export
+ */
+function resolveOutputCollision(outputPath, policy, callback) {
+    if (!isOutputPathTaken(outputPath)) {
+        callback(outputPath);
+        return;
+    }
+
+    var fileName = outputPath.split(/[/\\]/).pop();
+    if (policy === 'prompt') {
+        collisionPrompts.push({ outputPath: outputPath, callback: callback });
+        if (collisionPrompts.length === 1) {
+            showCollisionPrompt();
+        }
+    } else if (policy === 'overwrite') {
+        debugLog('Overwriting existing file: ' + fileName, 'warning');
+        callback(outputPath);
+    } else if (policy === 'skip') {
+        debugLog('Skipped, file already exists: ' + fileName, 'warning');
+        callback(null);
+    } else {
+        var incrementedPath = getIncrementedOutputPath(outputPath);
+        debugLog(fileName + ' already exists, exporting as ' + incrementedPath.split(/[/\\]/).pop(), 'warning');
+        callback(incrementedPath);
+    }
+}
+
+/**
+ * Show the first collision waiting for an answer
+ */
+function showCollisionPrompt() {
+    var prompt = collisionPrompts[0];
+    document.getElementById('collision-file').textContent = prompt.outputPath;
+    document.getElementById('collision-modal').classList.add('show');
+}
+
+/**
+ * Answer the collision shown in the prompt modal
+ * @param {string} choice - 'increment', 'overwrite' or 'skip'
+ */
+function answerCollisionPrompt(choice) {
+    var prompt = collisionPrompts.shift();
+    document.getElementById('collision-modal').classList.remove('show');
+    if (!prompt) return;
+
+    resolveOutputCollision(prompt.outputPath, choice, prompt.callback);
+    if (collisionPrompts.length > 0) {
+        showCollisionPrompt();
+    }
+}
+
+/**
+ * Check that a preset can be used for an export
+ * The file must exist and be readable. The media it exports is only checked when the preset parses:
+ * Media Encoder may accept layouts EprParser does not know, so those are reported by getPresetWarning().
+ * @param {string} presetPath - Path to the preset file
+ * @param {string=} kind - 'video' for a preset with video, 'audio' for an audio-only preset, empty for either
+ * @returns {string} Problem found, empty when the preset is usable
+ */
+function checkPreset(presetPath, kind) {
+    if (!presetPath) {
+        return 'No preset configured';
+    }
+    if (!panelCanAccessPreset(presetPath)) {
+        return 'Preset file not found: ' + presetPath;
+    }
+    try {
+        fs.accessSync(presetPath, fs.constants.R_OK);
+    } catch (e) {
+        return 'Preset file cannot be read: ' + presetPath;
+    }
+
+    var info = EprParser.read(presetPath);
+    if (!info) {
+        return '';
+    }
+    if (kind === 'audio' && !info.audioOnly) {
+        return 'Audio only preset also exports video: ' + presetPath;
+    }
+    if (kind === 'video' && info.audioOnly) {
+        return 'Video + Audio preset is audio-only: ' + presetPath;
+    }
+    return '';
+}
+
+/**
+ * Warn about a preset that exists but whose format could not be read
+ * The export still goes ahead; the output extension is guessed from the preset file name.
+ * @param {string} presetPath - Path to the preset file
+ * @returns {string} Warning, empty when the preset parses or has a blocking problem
+ */
+function getPresetWarning(presetPath) {
+    if (checkPreset(presetPath, '') || EprParser.read(presetPath)) {
+        return '';
+    }
+    return 'Could not read the format of ' + path.basename(presetPath) + ', the extension is guessed from its file name';
+}
+
+/**
+ * Check every preset a profile exports with
+ * Presets that cannot be parsed are only warnings: the export still goes ahead.
+ * @param {object} profile - Export profile
+ * @returns {Array} Problems {field, message, level}, field being the settings input to fix and
+ *   level "error" or "warning"; errors come first
+ */
+function checkProfilePresets(profile) {
+    var problems = [];
+    var warnings = [];
+
+    function addProblem(field, presetPath, kind) {
+        var problem = checkPreset(presetPath, kind);
+        if (problem) {
+            problems.push({ field: field, message: problem, level: 'error' });
+            return;
+        }
+        var warning = getPresetWarning(presetPath);
+        if (warning) {
+            warnings.push({ field: field, message: warning, level: 'warning' });
+        }
+    }
+
+    if (profile.useDeliverables) {
+        (profile.deliverables || []).forEach(function (deliverable, index) {
+            if (deliverable && deliverable.presetPath) {
+                addProblem('deliverable-preset-' + index, deliverable.presetPath, '');
+            }
+        });
+    } else {
+        addProblem('video-preset', profile.videoPreset || defaultPresets.video, 'video');
+        addProblem('audio-preset', profile.audioPreset || defaultPresets.audio, 'audio');
+    }
+
+    return problems.concat(warnings);
+}
+
+/**
+ * Check the presets of the active profile and show what needs fixing under the export button
+ * @returns {Array} Problems {field, message, level}
+ */
+function reportPresetHealth() {
+    var problems = checkProfilePresets(getActiveProfile());
+    showPresetProblems(problems);
+    return problems;
+}
+
+/**
+ * Show preset problems under the export button, with a link to the setting to fix
+ * Warnings alone are shown in the warning color, they do not stop exports.
+ * @param {Array} problems - Problems {field, message, level}; an empty list hides the message
+ */
+function showPresetProblems(problems) {
+    var healthEl = document.getElementById('preset-health');
+    presetHealthProblems = problems;
+
+    if (problems.length === 0) {
+        healthEl.style.display = 'none';
+        return;
+    }
+
+    problems.forEach(function (problem) {
+        debugLog(problem.message, problem.level);
+    });
+    healthEl.classList.toggle('warning', problems[0].level === 'warning');
+    document.getElementById('preset-health-text').textContent = problems.length === 1
+        ? problems[0].message
+        : problems.length + ' preset problems: ' + problems[0].message;
+    healthEl.title = problems.map(function (problem) {
+        return problem.message;
+    }).join('\n');
+    healthEl.style.display = 'block';
+}
+
+/**
+ * Check the preset of an export about to start
+ * @param {string} presetPath - Preset of the export
+ * @param {boolean} hasVideo - Whether the sequence has video, so the preset must export it
+ * @param {string} field - Settings input holding the preset
+ * @returns {boolean} Whether the export can go ahead
+ */
+function checkExportPreset(presetPath, hasVideo, field) {
+    var problem = checkPreset(presetPath, hasVideo ? 'video' : 'audio');
+    if (!problem) {
+        var warning = getPresetWarning(presetPath);
+        if (warning) {
+            debugLog(warning, 'warning');
+        }
+        return true;
+    }
+
+    setStatus('Export not started: preset problem', 'error');
+    showPresetProblems([{ field: field, message: problem }]);
+    return false;
+}
+
 /**
  * Check preset visibility from the CEP panel before Premiere validates it.
  * @param {string} presetPath - Path to the preset file
@@ -1679,9 +6602,11 @@ function panelCanAccessPreset(presetPath) {
  * @param {string} presetPath - Path to the preset file
  * @param {boolean} hasVideo - Whether export includes video
  * @param {string} versionedName - The versioned filename for display
- * @param {object=} exportOptions - Optional forced export settings
+ * @param {object=} exportOptions - Optional forced export settings and sequence profile, with the
+ *   sequenceName and nodeId of the exported sequence for the history
+ * @param {number=} version - Version number used in the filename (for the history)
  */
-function executeExport(outputPath, presetPath, hasVideo, versionedName, exportOptions) {
+function executeExport(outputPath, presetPath, hasVideo, versionedName, exportOptions, version) {
     debugLog('executeExport called', 'info');
     debugLog('Output path: ' + outputPath, 'info');
     debugLog('Preset path: ' + presetPath, 'info');
@@ -1689,10 +6614,11 @@ function executeExport(outputPath, presetPath, hasVideo, versionedName, exportOp
 
     setStatus('Starting export...', 'warning');
 
-    // Get settings
-    var useInOut = Persistence.get(STORAGE_KEYS.INOUT_EXPORT) === 'true';
+    // Get settings from the profile of the sequence
+    var profile = getExportProfile(exportOptions);
+    var useInOut = profile.inoutExport === true;
     var forcedMode = exportOptions && exportOptions.mode ? exportOptions.mode : null;
-    var premiereDirect = forcedMode ? forcedMode === 'premiere' : Persistence.get(STORAGE_KEYS.PREMIERE_DIRECT) === 'true';
+    var premiereDirect = forcedMode ? forcedMode === 'premiere' : profile.premiereDirect === true;
     debugLog('Use In/Out: ' + useInOut, 'info');
     debugLog('Premiere Direct: ' + premiereDirect, 'info');
 
@@ -1700,60 +6626,106 @@ function executeExport(outputPath, presetPath, hasVideo, versionedName, exportOp
     var finalOutputPath = buildExportOutputPath(outputPath, presetPath, hasVideo);
     debugLog('Resolved output path: ' + finalOutputPath, 'info');
 
-    // Check the preset from the panel so host.jsx can bypass ExtendScript false negatives.
-    var panelPresetExists = panelCanAccessPreset(presetPath);
-    debugLog('Panel preset exists: ' + panelPresetExists, panelPresetExists ? 'info' : 'warning');
+    resolveOutputCollision(finalOutputPath, profile.collisionPolicy, function (exportPath) {
+        if (!exportPath) {
+            setStatus('Skipped: ' + finalOutputPath.split(/[/\\]/).pop() + ' already exists', 'warning');
+            return;
+        }
+        ensureOutputFolder(path.dirname(exportPath));
+        sendExport(exportPath);
+    });
 
-    // Escape paths for ExtendScript
-    var escapedOutputPath = finalOutputPath.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
-    var escapedPresetPath = presetPath.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+    function sendExport(exportPath) {
+        // Check the preset from the panel so host.jsx can bypass ExtendScript false negatives.
+        var panelPresetExists = panelCanAccessPreset(presetPath);
+        debugLog('Panel preset exists: ' + panelPresetExists, panelPresetExists ? 'info' : 'warning');
 
-    debugLog('Escaped output: ' + escapedOutputPath, 'info');
-    debugLog('Escaped preset: ' + escapedPresetPath, 'info');
+        // Escape paths for ExtendScript
+        var escapedOutputPath = exportPath.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+        var escapedPresetPath = presetPath.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
 
-    // Choose export method based on setting
-    var script;
-    if (premiereDirect) {
-        script = "ExportButton_exportDirectInPremiere('" + escapedOutputPath + "', '" + escapedPresetPath + "', " + useInOut + ", " + panelPresetExists + ")";
-        debugLog('Using Premiere Direct export', 'info');
-    } else {
-        script = "ExportButton_exportToAMEWithOptions('" + escapedOutputPath + "', '" + escapedPresetPath + "', " + useInOut + ", " + panelPresetExists + ")";
-        debugLog('Using AME export', 'info');
-    }
-    debugLog('Script: ' + script, 'info');
+        debugLog('Escaped output: ' + escapedOutputPath, 'info');
+        debugLog('Escaped preset: ' + escapedPresetPath, 'info');
 
-    csInterface.evalScript(script, function (result) {
-        debugLog('Export result: ' + result, result ? 'info' : 'error');
+        // Choose export method based on setting
+        var script;
+        if (premiereDirect) {
+            script = "ExportButton_exportDirectInPremiere('" + escapedOutputPath + "', '" + escapedPresetPath + "', " + useInOut + ", " + panelPresetExists + ")";
+            debugLog('Using Premiere Direct export', 'info');
+        } else {
+            script = "ExportButton_exportToAMEWithOptions('" + escapedOutputPath + "', '" + escapedPresetPath + "', " + useInOut + ", " + panelPresetExists + ", " + (profile.queueOnly !== true) + ")";
+            debugLog('Using AME export', 'info');
+        }
+        debugLog('Script: ' + script, 'info');
 
-        try {
-            var exportResult = JSON.parse(result);
+        csInterface.evalScript(script, function (result) {
+            debugLog('Export result: ' + result, result ? 'info' : 'error');
 
-            if (exportResult.success) {
-                var displayName = versionedName || 'export';
-                var inoutLabel = useInOut ? ' (In/Out)' : '';
-                var modeLabel = premiereDirect ? ' [Direct]' : '';
-                var sourceLabel = exportOptions && exportOptions.label ? ' [' + exportOptions.label + ']' : '';
-                setStatus(displayName + inoutLabel + modeLabel + ' started!', 'success');
-                debugLog('Export started successfully!' + sourceLabel, 'success');
-            } else {
-                setStatus(exportResult.error || 'Export failed', 'error');
-                debugLog('Export failed: ' + exportResult.error, 'error');
+            try {
+                var exportResult = JSON.parse(result);
+                var historyId = recordExportHistory({
+                    sequence: exportOptions && exportOptions.sequenceName || '',
+                    nodeId: exportOptions && exportOptions.nodeId || '',
+                    preset: presetPath,
+                    outputPath: exportPath,
+                    version: version,
+                    mode: premiereDirect ? 'premiere' : 'ame',
+                    inOut: useInOut,
+                    result: !exportResult.success ? 'failed' : premiereDirect ? 'complete' : 'queued',
+                    error: exportResult.success ? undefined : exportResult.error
+                });
+
+                if (exportResult.success) {
+                    var displayName = exportPath === finalOutputPath ? versionedName || 'export' : exportPath.split(/[/\\]/).pop();
+                    var inoutLabel = useInOut ? ' (In/Out)' : '';
+                    var modeLabel = premiereDirect ? ' [Direct]' : '';
+                    var sourceLabel = exportOptions && exportOptions.label ? ' [' + exportOptions.label + ']' : '';
+                    var startLabel = !premiereDirect && profile.queueOnly === true ? ' queued in AME' : ' started!';
+                    setStatus(displayName + inoutLabel + modeLabel + startLabel, 'success');
+                    if (!premiereDirect) {
+                        trackExportJob(exportResult.jobID, exportPath, historyId);
+                    }
+                    debugLog('Export started successfully!' + sourceLabel, 'success');
+                } else {
+                    setStatus(exportResult.error || 'Export failed', 'error');
+                    debugLog('Export failed: ' + exportResult.error, 'error');
+                }
+            } catch (e) {
+                setStatus('Error: ' + e.message, 'error');
+                debugLog('Parse error: ' + e.message, 'error');
+                debugLog('Raw result was: ' + result, 'error');
             }
-        } catch (e) {
-            setStatus('Error: ' + e.message, 'error');
-            debugLog('Parse error: ' + e.message, 'error');
-            debugLog('Raw result was: ' + result, 'error');
-        }
-    });
+        });
+    }
 }
 
 
 
 /**
  * Open settings modal
+ * @param {string=} fixFieldId - ID of a setting to highlight, from a fix-it link
  */
-function openSettingsModal() {
-    document.getElementById('settings-modal').classList.add('show');
+function openSettingsModal(fixFieldId) {
+    syncProjectSettings(function () {
+        document.querySelectorAll('.needs-fix').forEach(function (input) {
+            input.classList.remove('needs-fix');
+        });
+
+        // Start from the saved profiles so unsaved edits from a previous visit are dropped
+        resetProfileDraft();
+        refreshNextVersion();
+        renderProjectSettingsStatus();
+        renderSettingsProblems();
+        setSettingsBundleStatus('', false);
+        document.getElementById('settings-modal').classList.add('show');
+
+        // Fix-it links point at the setting to change
+        var fixInput = fixFieldId ? document.getElementById(fixFieldId) : null;
+        if (fixInput) {
+            fixInput.classList.add('needs-fix');
+            fixInput.focus();
+        }
+    });
 }
 
 /**
@@ -1763,14 +6735,191 @@ function closeSettingsModal() {
     document.getElementById('settings-modal').classList.remove('show');
 }
 
+/**
+ * Open the preset browser for a preset field
+ * @param {string} targetId - ID of the input that receives the chosen preset
+ */
+function openPresetBrowser(targetId) {
+    presetBrowserTarget = targetId;
+
+    // Audio fields start on audio-only presets, video fields on presets with video
+    var kind = 'all';
+    if (/audio-preset$/.test(targetId)) {
+        kind = 'audio';
+    } else if (/video-preset$/.test(targetId)) {
+        kind = 'video';
+    }
+    document.getElementById('preset-browser-kind').value = kind;
+    document.getElementById('preset-browser-search').value = '';
+    document.getElementById('preset-browser-list').innerHTML = '';
+    setPresetBrowserSummary('Looking for presets...');
+    document.getElementById('preset-browser-modal').classList.add('show');
+
+    // The first scan reads every preset file in the background; the list fills in once it is done
+    PresetLibrary.load(false, renderPresetBrowser);
+}
+
+/**
+ * Close the preset browser
+ */
+function closePresetBrowser() {
+    document.getElementById('preset-browser-modal').classList.remove('show');
+    presetBrowserTarget = null;
+}
+
+/**
+ * List the presets matching the search and kind, favourites first and the rest grouped by format
+ */
+function renderPresetBrowser() {
+    var listEl = document.getElementById('preset-browser-list');
+    var kind = document.getElementById('preset-browser-kind').value;
+    var currentPath = presetBrowserTarget ? document.getElementById(presetBrowserTarget).value : '';
+    var favorites = getPresetFavorites();
+    var presets = PresetLibrary.getPresets();
+
+    var matches = PresetLibrary.filter(presets, document.getElementById('preset-browser-search').value).filter(function (preset) {
+        return kind === 'all' || (kind === 'audio') === preset.audioOnly;
+    });
+
+    var groups = {};
+    var favoriteGroup = [];
+    matches.forEach(function (preset) {
+        if (favorites.indexOf(preset.path) !== -1) {
+            favoriteGroup.push(preset);
+        } else {
+            (groups[preset.format] = groups[preset.format] || []).push(preset);
+        }
+    });
+
+    listEl.innerHTML = '';
+    if (favoriteGroup.length > 0) {
+        appendPresetGroup(listEl, 'Favourites', favoriteGroup, favorites, currentPath);
+    }
+    Object.keys(groups).sort().forEach(function (format) {
+        appendPresetGroup(listEl, format, groups[format], favorites, currentPath);
+    });
+
+    if (PresetLibrary.waiting) {
+        setPresetBrowserSummary('Looking for presets...');
+    } else if (presets.length === 0) {
+        setPresetBrowserSummary('No Media Encoder presets found on this computer. Use Other File... to pick one');
+    } else {
+        setPresetBrowserSummary(matches.length + ' of ' + presets.length + ' presets');
+    }
+}
+
+/**
+ * Add a group heading and its presets to the preset browser list
+ * @param {HTMLElement} listEl - Preset browser list
+ * @param {string} title - Group name
+ * @param {Array} presets - Presets of the group
+ * @param {Array<string>} favorites - Paths of favourite presets
+ * @param {string} currentPath - Preset currently set in the field
+ */
+function appendPresetGroup(listEl, title, presets, favorites, currentPath) {
+    var headerEl = document.createElement('div');
+    headerEl.className = 'preset-browser-group';
+    headerEl.textContent = title + ' (' + presets.length + ')';
+    listEl.appendChild(headerEl);
+
+    presets.forEach(function (preset) {
+        var isFavorite = favorites.indexOf(preset.path) !== -1;
+        var row = document.createElement('div');
+        row.className = 'preset-browser-entry' + (preset.path === currentPath ? ' selected' : '');
+        row.title = preset.path;
+        row.addEventListener('click', function () {
+            choosePresetFromBrowser(preset.path);
+        });
+
+        var favoriteBtn = document.createElement('button');
+        favoriteBtn.className = 'preset-favorite' + (isFavorite ? ' active' : '');
+        favoriteBtn.textContent = isFavorite ? '★' : '☆';
+        favoriteBtn.title = isFavorite ? 'Remove from favourites' : 'Add to favourites';
+        favoriteBtn.addEventListener('click', function (e) {
+            e.stopPropagation();
+            togglePresetFavorite(preset.path);
+        });
+
+        var textEl = document.createElement('div');
+        textEl.className = 'preset-browser-text';
+
+        var nameEl = document.createElement('span');
+        nameEl.className = 'preset-browser-name';
+        nameEl.textContent = preset.name;
+
+        var metaEl = document.createElement('span');
+        metaEl.className = 'preset-browser-meta';
+        metaEl.textContent = [preset.details, preset.source].filter(Boolean).join(' · ');
+
+        textEl.appendChild(nameEl);
+        textEl.appendChild(metaEl);
+        row.appendChild(favoriteBtn);
+        row.appendChild(textEl);
+        listEl.appendChild(row);
+    });
+}
+
+/**
+ * Show a line under the preset browser list
+ * @param {string} message - Text to show
+ */
+function setPresetBrowserSummary(message) {
+    document.getElementById('preset-browser-summary').textContent = message;
+}
+
+/**
+ * Get the presets marked as favourites in the preset browser
+ * @returns {Array<string>} Preset paths
+ */
+function getPresetFavorites() {
+    return Persistence.getObject(STORAGE_KEYS.PRESET_FAVORITES) || [];
+}
+
+/**
+ * Add a preset to the favourites, or remove it
+ * @param {string} presetPath - Path of the preset
+ */
+function togglePresetFavorite(presetPath) {
+    var favorites = getPresetFavorites().filter(function (item) {
+        return item !== presetPath;
+    });
+    if (favorites.length === getPresetFavorites().length) {
+        favorites.push(presetPath);
+    }
+    Persistence.setObject(STORAGE_KEYS.PRESET_FAVORITES, favorites);
+    renderPresetBrowser();
+}
+
+/**
+ * Put the chosen preset in the field the browser was opened for
+ * @param {string} presetPath - Path of the preset
+ */
+function choosePresetFromBrowser(presetPath) {
+    if (presetBrowserTarget) {
+        document.getElementById(presetBrowserTarget).value = presetPath;
+    }
+    closePresetBrowser();
+}
+
 /**
  * Browse for a preset file or folder
+ * Presets open the preset browser; folders use the system dialog.
  * @param {string} targetId - ID of the input field to populate
  */
 function browseForPreset(targetId) {
-    // Check if we're selecting a folder (for fixed-folder option)
-    var isFolder = (targetId === 'fixed-folder');
+    if (targetId === 'fixed-folder') {
+        browseForFile(targetId, true);
+    } else {
+        openPresetBrowser(targetId);
+    }
+}
 
+/**
+ * Pick a preset file or folder with the system dialog
+ * @param {string} targetId - ID of the input field to populate
+ * @param {boolean} isFolder - Pick a folder instead of a preset file
+ */
+function browseForFile(targetId, isFolder) {
     // Use CEP file dialog
     var result = window.cep.fs.showOpenDialogEx(
         false,  // allowMultipleSelection
@@ -37,39 +37,22 @@ function ExportButton_getSystemInfo() {
 }
 
 /**
- * Get available AME presets from system
- * @returns {string} JSON string with preset paths
+ * Get the path of the open project, used to find its project settings file
+ * @returns {string} JSON string with the project path and name (empty when unsaved)
  */
-function ExportButton_getDefaultPresetPaths() {
+function ExportButton_getProjectPath() {
     try {
-        var isWindows = $.os.indexOf("Windows") !== -1;
-        var presetPaths = [];
-
-        if (isWindows) {
-            // Windows preset locations
-            var userProfile = $.getenv("USERPROFILE");
-            var userPresetsBase = userProfile + "\\Documents\\Adobe\\Adobe Media Encoder";
-
-            // Common system presets location (Program Files)
-            var systemPresets = "C:\\Program Files\\Adobe\\Adobe Media Encoder 2025\\MediaIO\\systempresets";
-
-            presetPaths.push({ type: "system", path: systemPresets });
-
-            if (Folder(userPresetsBase).exists) {
-                presetPaths.push({ type: "user", path: userPresetsBase });
-            }
-        } else {
-            // macOS preset locations
-            var systemPresets = "/Applications/Adobe Media Encoder 2025/Adobe Media Encoder 2025.app/Contents/MediaIO/systempresets";
-            var userPresets = Folder("~/Documents/Adobe/Adobe Media Encoder").fsName;
-
-            presetPaths.push({ type: "system", path: systemPresets });
-            presetPaths.push({ type: "user", path: userPresets });
+        if (!app.project) {
+            return JSON.stringify({
+                success: false,
+                error: "No project open"
+            });
         }
 
         return JSON.stringify({
             success: true,
-            presetPaths: presetPaths
+            path: app.project.path || "",
+            name: app.project.name || ""
         });
     } catch (e) {
         return JSON.stringify({
@@ -77,8 +60,8 @@ function ExportButton_getDefaultPresetPaths() {
             error: e.toString()
         });
     }
-}
-
+}
+
 /**
  * Validate a preset path before export without blocking known macOS false negatives.
  * @param {string} presetPath - Path to the preset file
@@ -141,7 +124,8 @@ function ExportButton_getActiveSequence() {
         return JSON.stringify({
             success: true,
             name: seq.name,
-            id: seq.sequenceID
+            id: seq.sequenceID,
+            nodeId: seq.projectItem ? seq.projectItem.nodeId || "" : ""
         });
     } catch (e) {
         return JSON.stringify({
@@ -251,6 +235,159 @@ function ExportButton_getSelectedSequences() {
     }
 }
 
+/**
+ * Visit every item below a project item, depth first
+ * @param {ProjectItem} parentItem - Bin (or project root) to walk
+ * @param {string} parentPath - Bin path of parentItem, "" for the root
+ * @param {boolean} recursive - Also walk nested bins
+ * @param {function} visitor - Called with (item, binPath) for every child
+ */
+function ExportButton_walkProjectItems(parentItem, parentPath, recursive, visitor) {
+    var binType = typeof ProjectItemType !== 'undefined' ? ProjectItemType.BIN : 2;
+    if (!parentItem || !parentItem.children) {
+        return;
+    }
+
+    for (var i = 0; i < parentItem.children.numItems; i++) {
+        var item = parentItem.children[i];
+        if (!item) {
+            continue;
+        }
+        visitor(item, parentPath);
+        if (recursive && item.type === binType) {
+            ExportButton_walkProjectItems(item, parentPath ? parentPath + "/" + item.name : item.name, true, visitor);
+        }
+    }
+}
+
+/**
+ * List all bins of the project for the bin export picker
+ * @returns {string} JSON string with bins [{name, nodeId, path}] and the bin selected in the Project panel
+ */
+function ExportButton_getProjectBins() {
+    try {
+        if (!app.project || !app.project.rootItem) {
+            return JSON.stringify({
+                success: false,
+                bins: [],
+                error: "No project open"
+            });
+        }
+
+        var binType = typeof ProjectItemType !== 'undefined' ? ProjectItemType.BIN : 2;
+        var bins = [];
+        ExportButton_walkProjectItems(app.project.rootItem, "", true, function (item, binPath) {
+            if (item.type === binType) {
+                bins.push({
+                    name: item.name,
+                    nodeId: item.nodeId || "",
+                    path: binPath ? binPath + "/" + item.name : item.name
+                });
+            }
+        });
+
+        // Preselect the first bin selected in the Project panel, when there is one
+        var selectedNodeId = "";
+        try {
+            if (typeof app.getCurrentProjectViewSelection === 'function') {
+                var selection = app.getCurrentProjectViewSelection();
+                for (var i = 0; selection && i < selection.length; i++) {
+                    if (selection[i] && selection[i].type === binType) {
+                        selectedNodeId = selection[i].nodeId || "";
+                        break;
+                    }
+                }
+            }
+        } catch (selectionError) {
+            selectedNodeId = "";
+        }
+
+        return JSON.stringify({
+            success: true,
+            bins: bins,
+            selectedNodeId: selectedNodeId
+        });
+    } catch (e) {
+        return JSON.stringify({
+            success: false,
+            bins: [],
+            error: e.toString()
+        });
+    }
+}
+
+/**
+ * Collect the sequences stored in a bin
+ * @param {string} binNodeId - nodeId of the bin, empty for the whole project
+ * @param {boolean} recursive - Also collect sequences from nested bins
+ * @returns {string} JSON string with sequences [{name, nodeId, binPath, label}]
+ */
+function ExportButton_getBinSequences(binNodeId, recursive) {
+    try {
+        if (!app.project || !app.project.rootItem) {
+            return JSON.stringify({
+                success: false,
+                sequences: [],
+                count: 0,
+                error: "No project open"
+            });
+        }
+
+        var binItem = app.project.rootItem;
+        var binPath = "";
+        if (binNodeId) {
+            binItem = null;
+            ExportButton_walkProjectItems(app.project.rootItem, "", true, function (item, parentPath) {
+                if (!binItem && item.nodeId === binNodeId) {
+                    binItem = item;
+                    binPath = parentPath ? parentPath + "/" + item.name : item.name;
+                }
+            });
+            if (!binItem) {
+                return JSON.stringify({
+                    success: false,
+                    sequences: [],
+                    count: 0,
+                    error: "Bin not found"
+                });
+            }
+        }
+
+        var sequences = [];
+        ExportButton_walkProjectItems(binItem, binPath, recursive === true, function (item, parentPath) {
+            try {
+                if (typeof item.isSequence === 'function' && item.isSequence()) {
+                    var label = -1;
+                    if (typeof item.getColorLabel === 'function') {
+                        label = item.getColorLabel();
+                    }
+                    sequences.push({
+                        name: item.name,
+                        nodeId: item.nodeId || "",
+                        binPath: parentPath,
+                        label: label
+                    });
+                }
+            } catch (itemError) {
+                // Skip items Premiere cannot describe
+            }
+        });
+
+        return JSON.stringify({
+            success: true,
+            sequences: sequences,
+            count: sequences.length
+        });
+    } catch (e) {
+        return JSON.stringify({
+            success: false,
+            sequences: [],
+            count: 0,
+            error: e.toString()
+        });
+    }
+}
+
 /**
  * Check if the active sequence contains visible video clips
  * A track with clips but muted/hidden counts as no video for export purposes
@@ -338,8 +475,9 @@ function ExportButton_getSequenceName() {
 
 /**
  * EXPORT FILE - With Windows path normalization
+ * @param {boolean} startQueue - Start the AME queue after queueing (false = queue only)
  */
-function ExportButton_exportToAME(outputPath, presetPath, panelPresetExists) {
+function ExportButton_exportToAME(outputPath, presetPath, panelPresetExists, startQueue) {
     try {
         // Check if encoder is available
         if (!app.encoder) {
@@ -380,12 +518,15 @@ function ExportButton_exportToAME(outputPath, presetPath, panelPresetExists) {
         );
 
         if (jobID) {
-            app.encoder.startBatch();
+            if (startQueue !== false) {
+                app.encoder.startBatch();
+            }
             return JSON.stringify({
                 success: true,
                 jobID: jobID,
-                presetWarning: presetAccess.warning || "",
-                message: "Export started"
+                presetWarning: presetAccess.warning || "",
+                started: startQueue !== false,
+                message: startQueue !== false ? "Export started" : "Export queued"
             });
         } else {
             return JSON.stringify({
@@ -428,15 +569,249 @@ function ExportButton_findSequenceByName(sequenceName) {
     return null;
 }
 
+/**
+ * Find a sequence by the nodeId of its project item, or by name when no nodeId is known
+ * Sequence names are not unique across bins, nodeIds are.
+ * @param {string} nodeId - nodeId of the sequence project item (may be empty)
+ * @param {string} sequenceName - Name of the sequence
+ * @returns {Sequence|null} The sequence object or null
+ */
+function ExportButton_findSequence(nodeId, sequenceName) {
+    if (!nodeId) {
+        return ExportButton_findSequenceByName(sequenceName);
+    }
+    if (!app.project || !app.project.sequences) {
+        return null;
+    }
+
+    for (var i = 0; i < app.project.sequences.numSequences; i++) {
+        var seq = app.project.sequences[i];
+        if (seq.projectItem && seq.projectItem.nodeId === nodeId) {
+            return seq;
+        }
+    }
+    return null;
+}
+
+/**
+ * Premiere time values are expressed in ticks
+ */
+var EXPORTBUTTON_TICKS_PER_SECOND = 254016000000;
+
+/**
+ * Get project, bin, format and range details of a sequence for naming tokens and the export history
+ * @param {string} sequenceName - Name of the sequence (empty for the active sequence)
+ * @param {string} nodeId - Optional nodeId of the sequence project item, preferred over the name
+ * @returns {string} JSON string with sequence info
+ */
+function ExportButton_getSequenceInfo(sequenceName, nodeId) {
+    try {
+        if (!app.project) {
+            return JSON.stringify({
+                success: false,
+                error: "No project open"
+            });
+        }
+
+        var seq = sequenceName || nodeId ? ExportButton_findSequence(nodeId, sequenceName) : app.project.activeSequence;
+        if (!seq) {
+            return JSON.stringify({
+                success: false,
+                error: "Sequence not found: " + (sequenceName || "active sequence")
+            });
+        }
+
+        var range = ExportButton_readSequenceRange(seq);
+
+        // Parent bin from the tree path, e.g. \Project.prproj\Bin\Sequence (empty at project root)
+        var binName = "";
+        if (seq.projectItem && seq.projectItem.treePath) {
+            var treeParts = seq.projectItem.treePath.split(/[\\\/]/);
+            if (treeParts.length > 3) {
+                binName = treeParts[treeParts.length - 2];
+            }
+        }
+
+        // timebase is the number of ticks per frame
+        var frameRate = seq.timebase ? EXPORTBUTTON_TICKS_PER_SECOND / parseFloat(seq.timebase) : 0;
+
+        return JSON.stringify({
+            success: true,
+            name: seq.name,
+            id: seq.sequenceID,
+            nodeId: seq.projectItem ? seq.projectItem.nodeId || "" : "",
+            projectName: app.project.name,
+            projectPath: app.project.path,
+            binName: binName,
+            width: seq.frameSizeHorizontal,
+            height: seq.frameSizeVertical,
+            frameRate: frameRate,
+            duration: parseFloat(seq.end) / EXPORTBUTTON_TICKS_PER_SECOND,
+            inPoint: range.inPoint,
+            outPoint: range.outPoint,
+            overrides: ExportButton_readSequenceOverrides(seq)
+        });
+    } catch (e) {
+        return JSON.stringify({
+            success: false,
+            error: e.toString()
+        });
+    }
+}
+
+/**
+ * Read the In/Out points of a sequence
+ * @param {Sequence} seq - Sequence object
+ * @returns {object} {inPoint, outPoint} in seconds
+ */
+function ExportButton_readSequenceRange(seq) {
+    // getInPointAsTime is missing on older Premiere versions
+    return {
+        inPoint: typeof seq.getInPointAsTime === 'function' ? seq.getInPointAsTime().seconds : parseFloat(seq.getInPoint()),
+        outPoint: typeof seq.getOutPointAsTime === 'function' ? seq.getOutPointAsTime().seconds : parseFloat(seq.getOutPoint())
+    };
+}
+
+/**
+ * Move the In/Out points of a sequence
+ * @param {Sequence} seq - Sequence object
+ * @param {object} range - {inPoint, outPoint} in seconds
+ */
+function ExportButton_writeSequenceRange(seq, range) {
+    // Move the point that keeps In before Out at every step
+    var current = ExportButton_readSequenceRange(seq);
+    if (range.inPoint >= current.outPoint) {
+        seq.setOutPoint(range.outPoint);
+        seq.setInPoint(range.inPoint);
+    } else {
+        seq.setInPoint(range.inPoint);
+        seq.setOutPoint(range.outPoint);
+    }
+}
+
+/**
+ * Parse a recorded In/Out range passed by the panel
+ * @param {string} rangeJson - JSON {inPoint, outPoint} in seconds, or empty
+ * @returns {object|null} Range, null when none or invalid
+ */
+function ExportButton_parseRange(rangeJson) {
+    if (!rangeJson) {
+        return null;
+    }
+    var range = JSON.parse(rangeJson);
+    var inPoint = parseFloat(range.inPoint);
+    var outPoint = parseFloat(range.outPoint);
+    if (isNaN(inPoint) || isNaN(outPoint) || inPoint < 0 || outPoint <= inPoint) {
+        return null;
+    }
+    return { inPoint: inPoint, outPoint: outPoint };
+}
+
+/**
+ * Sequence overrides are kept in the private project metadata of the sequence,
+ * so they are saved in the .prproj and travel with the project
+ */
+var EXPORTBUTTON_METADATA_URI = "http://ns.adobe.com/premierePrivateProjectMetaData/1.0/";
+var EXPORTBUTTON_OVERRIDES_FIELD = "ExportButtonOverrides";
+
+/**
+ * Load the XMP library used to read and write project metadata
+ */
+function ExportButton_loadXMPLibrary() {
+    if (ExternalObject.AdobeXMPScript === undefined) {
+        ExternalObject.AdobeXMPScript = new ExternalObject("lib:AdobeXMPScript");
+    }
+}
+
+/**
+ * Read the export overrides pinned to a sequence
+ * @param {Sequence} seq - Sequence object
+ * @returns {object|null} Overrides object, null when none are set or they cannot be read
+ */
+function ExportButton_readSequenceOverrides(seq) {
+    try {
+        if (!seq.projectItem) {
+            return null;
+        }
+
+        ExportButton_loadXMPLibrary();
+        var xmp = new XMPMeta(seq.projectItem.getProjectMetadata());
+        if (!xmp.doesPropertyExist(EXPORTBUTTON_METADATA_URI, EXPORTBUTTON_OVERRIDES_FIELD)) {
+            return null;
+        }
+
+        var value = String(xmp.getProperty(EXPORTBUTTON_METADATA_URI, EXPORTBUTTON_OVERRIDES_FIELD));
+        return value ? JSON.parse(value) : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Pin export overrides to a sequence, or remove them
+ * The sequence is found by ID since several sequences may share a name
+ * @param {string} sequenceID - ID of the sequence
+ * @param {string} overridesJson - JSON object of overrides, empty to remove them
+ * @returns {string} JSON string with result
+ */
+function ExportButton_setSequenceOverrides(sequenceID, overridesJson) {
+    try {
+        if (!app.project) {
+            return JSON.stringify({
+                success: false,
+                error: "No project open"
+            });
+        }
+
+        var seq = null;
+        for (var i = 0; i < app.project.sequences.numSequences; i++) {
+            if (app.project.sequences[i].sequenceID === sequenceID) {
+                seq = app.project.sequences[i];
+                break;
+            }
+        }
+        if (!seq || !seq.projectItem) {
+            return JSON.stringify({
+                success: false,
+                error: "Sequence not found: " + sequenceID
+            });
+        }
+
+        ExportButton_loadXMPLibrary();
+        // Registering the field again is harmless; it is needed once per project
+        app.project.addPropertyToProjectMetadataSchema(EXPORTBUTTON_OVERRIDES_FIELD, "Export Button Overrides", 2);
+
+        var xmp = new XMPMeta(seq.projectItem.getProjectMetadata());
+        if (overridesJson) {
+            xmp.setProperty(EXPORTBUTTON_METADATA_URI, EXPORTBUTTON_OVERRIDES_FIELD, overridesJson);
+        } else {
+            xmp.deleteProperty(EXPORTBUTTON_METADATA_URI, EXPORTBUTTON_OVERRIDES_FIELD);
+        }
+        seq.projectItem.setProjectMetadata(xmp.serialize(), [EXPORTBUTTON_OVERRIDES_FIELD]);
+
+        return JSON.stringify({
+            success: true,
+            name: seq.name,
+            id: seq.sequenceID
+        });
+    } catch (e) {
+        return JSON.stringify({
+            success: false,
+            error: e.toString()
+        });
+    }
+}
+
 /**
  * Check if a specific sequence has visible video clips
  * Muted/hidden video tracks count as no video for export preset selection
  * @param {string} sequenceName - Name of the sequence
+ * @param {string} nodeId - Optional nodeId of the sequence project item, preferred over the name
  * @returns {string} JSON string with hasVideo boolean
  */
-function ExportButton_hasVideoForSequence(sequenceName) {
+function ExportButton_hasVideoForSequence(sequenceName, nodeId) {
     try {
-        var seq = ExportButton_findSequenceByName(sequenceName);
+        var seq = ExportButton_findSequence(nodeId, sequenceName);
         if (!seq) {
             return JSON.stringify({
                 success: false,
@@ -486,9 +861,13 @@ function ExportButton_hasVideoForSequence(sequenceName) {
  * @param {string} sequenceName - Name of the sequence to export
  * @param {string} outputPath - Full path for output file
  * @param {string} presetPath - Path to the preset file
+ * @param {boolean} panelPresetExists - Whether the CEP panel already verified the preset
+ * @param {boolean} useInOut - If true, export only In/Out range
+ * @param {string} rangeJson - Optional JSON {inPoint, outPoint} in seconds exported instead of the current In/Out marks
+ * @param {string} nodeId - Optional nodeId of the sequence project item, preferred over the name
  * @returns {string} JSON string with result
  */
-function ExportButton_exportSequenceByName(sequenceName, outputPath, presetPath, panelPresetExists) {
+function ExportButton_exportSequenceByName(sequenceName, outputPath, presetPath, panelPresetExists, useInOut, rangeJson, nodeId) {
     try {
         // Check if encoder is available
         if (!app.encoder) {
@@ -499,7 +878,7 @@ function ExportButton_exportSequenceByName(sequenceName, outputPath, presetPath,
         }
 
         // Find the sequence
-        var seq = ExportButton_findSequenceByName(sequenceName);
+        var seq = ExportButton_findSequence(nodeId, sequenceName);
         if (!seq) {
             return JSON.stringify({
                 success: false,
@@ -520,14 +899,32 @@ function ExportButton_exportSequenceByName(sequenceName, outputPath, presetPath,
             return JSON.stringify(presetAccess);
         }
 
+        // encodeSequence parameter: 0 = entire sequence, 1 = work area (In/Out)
+        var range = ExportButton_parseRange(rangeJson);
+        var rangeType = useInOut === true || range ? 1 : 0;
+
+        // A recorded range is applied only while queueing: AME takes its copy of the sequence then
+        var previousRange = null;
+        if (range) {
+            previousRange = ExportButton_readSequenceRange(seq);
+            ExportButton_writeSequenceRange(seq, range);
+        }
+
         // Queue the export
-        var jobID = app.encoder.encodeSequence(
-            seq,
-            outputPath,
-            presetPath,
-            0,  // Entire sequence
-            0   // Don't remove on completion
-        );
+        var jobID;
+        try {
+            jobID = app.encoder.encodeSequence(
+                seq,
+                outputPath,
+                presetPath,
+                rangeType,
+                0   // Don't remove on completion
+            );
+        } finally {
+            if (previousRange) {
+                ExportButton_writeSequenceRange(seq, previousRange);
+            }
+        }
 
         if (jobID) {
             // Don't start batch yet - we'll start after all sequences are queued
@@ -556,7 +953,51 @@ function ExportButton_exportSequenceByName(sequenceName, outputPath, presetPath,
 }
 
 /**
- * Start the AME batch (call after queueing all sequences)
+ * Open a sequence and make it the active one
+ * Premiere Direct exports only work on the active sequence
+ * @param {string} sequenceName - Name of the sequence to open
+ * @param {string} nodeId - Optional nodeId of the sequence project item, preferred over the name
+ * @returns {string} JSON string with result and the previously active sequence name
+ */
+function ExportButton_openSequenceByName(sequenceName, nodeId) {
+    try {
+        var seq = ExportButton_findSequence(nodeId, sequenceName);
+        if (!seq) {
+            return JSON.stringify({
+                success: false,
+                error: "Sequence not found: " + sequenceName
+            });
+        }
+
+        var previous = app.project.activeSequence;
+        var previousName = previous ? previous.name : "";
+        if (!previous || previous.sequenceID !== seq.sequenceID) {
+            app.project.openSequence(seq.sequenceID);
+        }
+
+        var active = app.project.activeSequence;
+        if (!active || active.sequenceID !== seq.sequenceID) {
+            return JSON.stringify({
+                success: false,
+                error: "Could not activate sequence: " + sequenceName
+            });
+        }
+
+        return JSON.stringify({
+            success: true,
+            name: seq.name,
+            previousName: previousName
+        });
+    } catch (e) {
+        return JSON.stringify({
+            success: false,
+            error: e.toString()
+        });
+    }
+}
+
+/**
+ * Start the AME batch (call after queueing all sequences, or from the Start AME queue command)
  */
 function ExportButton_startAMEBatch() {
     try {
@@ -571,6 +1012,156 @@ function ExportButton_startAMEBatch() {
     }
 }
 
+/**
+ * Describe several sequences in one call, for batch planning in the panel
+ * @param {string} sequencesJson - JSON array of sequences [{name, nodeId}]
+ * @returns {string} JSON string with items [{name, success, hasVideo, info, error}] in the same order
+ */
+function ExportButton_inspectSequences(sequencesJson) {
+    try {
+        var sequences = JSON.parse(sequencesJson);
+        var items = [];
+
+        for (var i = 0; i < sequences.length; i++) {
+            var videoInfo = JSON.parse(ExportButton_hasVideoForSequence(sequences[i].name, sequences[i].nodeId || ""));
+            var info = JSON.parse(ExportButton_getSequenceInfo(sequences[i].name, sequences[i].nodeId || ""));
+            items.push({
+                name: sequences[i].name,
+                success: videoInfo.success,
+                hasVideo: videoInfo.hasVideo,
+                info: info.success ? info : {},
+                error: videoInfo.error || ""
+            });
+        }
+
+        return JSON.stringify({
+            success: true,
+            items: items
+        });
+    } catch (e) {
+        return JSON.stringify({
+            success: false,
+            items: [],
+            error: e.toString()
+        });
+    }
+}
+
+/**
+ * Queue several sequences in Media Encoder in one call
+ * @param {string} batchJson - JSON {jobs: [{id, sequenceName, nodeId, outputPath, presetPath, panelPresetExists, useInOut}], startBatch}
+ * @returns {string} JSON string with results [{id, success, jobID, presetWarning, error}] and whether AME was started
+ */
+function ExportButton_queueBatch(batchJson) {
+    try {
+        var batch = JSON.parse(batchJson);
+        var results = [];
+        var queuedCount = 0;
+
+        for (var i = 0; i < batch.jobs.length; i++) {
+            var job = batch.jobs[i];
+            var result = JSON.parse(ExportButton_exportSequenceByName(
+                job.sequenceName,
+                job.outputPath,
+                job.presetPath,
+                job.panelPresetExists === true,
+                job.useInOut === true,
+                "",
+                job.nodeId || ""
+            ));
+            result.id = job.id;
+            results.push(result);
+            if (result.success) {
+                queuedCount++;
+            }
+        }
+
+        var started = false;
+        if (batch.startBatch === true && queuedCount > 0) {
+            started = JSON.parse(ExportButton_startAMEBatch()).success;
+        }
+
+        return JSON.stringify({
+            success: true,
+            results: results,
+            started: started
+        });
+    } catch (e) {
+        return JSON.stringify({
+            success: false,
+            results: [],
+            started: false,
+            error: e.toString()
+        });
+    }
+}
+
+/**
+ * CSXS event type used to forward Media Encoder job events to the panel
+ */
+var EXPORTBUTTON_JOB_EVENT = "com.cyrilg93.exportbutton.jobEvent";
+
+/**
+ * Send one encoder job event to the panel
+ * @param {object} payload - Serializable job event
+ */
+function ExportButton_dispatchJobEvent(payload) {
+    try {
+        // CSXSEvent lives in the PlugPlug library, which is not always loaded in Premiere
+        if (typeof CSXSEvent === "undefined") {
+            new ExternalObject("lib:PlugPlugExternalObject");
+        }
+
+        var eventObj = new CSXSEvent();
+        eventObj.type = EXPORTBUTTON_JOB_EVENT;
+        eventObj.data = JSON.stringify(payload);
+        eventObj.dispatch();
+    } catch (e) {
+        // Nothing to report to: the panel simply misses this update
+    }
+}
+
+function ExportButton_onEncoderJobProgress(jobID, progress) {
+    ExportButton_dispatchJobEvent({ type: "progress", jobID: String(jobID), progress: progress });
+}
+
+function ExportButton_onEncoderJobComplete(jobID, outputFilePath) {
+    ExportButton_dispatchJobEvent({ type: "complete", jobID: String(jobID), outputPath: outputFilePath || "" });
+}
+
+function ExportButton_onEncoderJobError(jobID, errorMessage) {
+    ExportButton_dispatchJobEvent({ type: "error", jobID: String(jobID), error: errorMessage || "Unknown encoder error" });
+}
+
+function ExportButton_onEncoderJobCanceled(jobID) {
+    ExportButton_dispatchJobEvent({ type: "canceled", jobID: String(jobID) });
+}
+
+/**
+ * Subscribe to Media Encoder job events (safe to call again after a panel reload)
+ * @returns {string} JSON string with result
+ */
+function ExportButton_bindEncoderEvents() {
+    try {
+        if (!app.encoder) {
+            return JSON.stringify({ success: false, error: "AME not available" });
+        }
+
+        // The binding survives panel reloads, so only bind once per Premiere session
+        if ($.global.ExportButton_encoderEventsBound !== true) {
+            app.encoder.bind("onEncoderJobProgress", ExportButton_onEncoderJobProgress);
+            app.encoder.bind("onEncoderJobComplete", ExportButton_onEncoderJobComplete);
+            app.encoder.bind("onEncoderJobError", ExportButton_onEncoderJobError);
+            app.encoder.bind("onEncoderJobCanceled", ExportButton_onEncoderJobCanceled);
+            $.global.ExportButton_encoderEventsBound = true;
+        }
+
+        return JSON.stringify({ success: true });
+    } catch (e) {
+        return JSON.stringify({ success: false, error: e.toString() });
+    }
+}
+
 /**
  * Verify if a preset file exists
  */
@@ -707,18 +1298,143 @@ function ExportButton_getNextVersionedFilename(folderPath, baseName, extension)
 }
 
 /**
- * Get next version number based on custom suffix pattern
- * Looks for files matching baseName + pattern where {V} is a number
+ * Escape text so it matches literally inside a RegExp
+ * @param {string} text - Literal text
+ * @returns {string} Escaped text
+ */
+function ExportButton_escapeRegExp(text) {
+    return String(text).replace(/[\\^$.*+?()[\]{}|\-\/]/g, "\\$&");
+}
+
+/**
+ * Convert a date token format (YYYY, YY, MM, DD, HH, mm, ss, WW) to a RegExp source
+ * @param {string} format - Date format such as YYMMDD
+ * @returns {string} RegExp source
+ */
+function ExportButton_dateFormatToRegExp(format) {
+    var parts = ["YYYY", "YY", "MM", "DD", "HH", "mm", "ss", "WW"];
+    var source = "";
+    var i = 0;
+
+    while (i < format.length) {
+        var matched = false;
+        for (var p = 0; p < parts.length; p++) {
+            if (format.substr(i, parts[p].length) === parts[p]) {
+                source += parts[p] === "YYYY" ? "\\d{4}" : "\\d{2}";
+                i += parts[p].length;
+                matched = true;
+                break;
+            }
+        }
+        if (!matched) {
+            source += ExportButton_escapeRegExp(format.charAt(i));
+            i++;
+        }
+    }
+    return source;
+}
+
+/**
+ * Compile a naming pattern into a matcher for existing filenames (without extension).
+ * Every token becomes a capture group: {SEQ} only matches the exact sequence name,
+ * version tokens match digits, date tokens match their format and the other panel
+ * tokens match any value. Tokens the panel may leave empty are optional together
+ * with their separator, as parseSuffixPattern() removes both.
+ * @param {string} pattern - Naming pattern like "{DATE}_{SEQ}_v{VV}"
+ * @param {string} sequenceName - Sequence name as used in filenames
+ * @returns {object} {regex, versionGroups} where versionGroups lists the capture indexes holding the version
+ */
+function ExportButton_compileNamingPattern(pattern, sequenceName) {
+    var dateFormats = { DATE: "YYYY-MM-DD", TIME: "HH-mm", YEAR: "YYYY", MONTH: "MM", DAY: "DD", WEEK: "WW" };
+    var optionalTokens = {
+        PROJECT: ".+?",
+        BIN: ".+?",
+        WIDTH: "\\d+",
+        HEIGHT: "\\d+",
+        FPS: "\\d+(?:\\.\\d+)?",
+        DURATION: "(?:\\d+h)?(?:\\d+m)?\\d+s",
+        PRESET: ".+?",
+        USER: ".+?",
+        HOST: ".+?",
+        INOUT: "\\d{6}-\\d{6}"
+    };
+    var separators = "_-. ";
+    var tokenRegex = /\{([A-Za-z]+)(?::([^}]*))?\}/g;
+    var source = "";
+    var lastLiteral = "";
+    var skipNext = false;
+    var groupCount = 0;
+    var versionGroups = [];
+    var position = 0;
+    var match;
+
+    function addLiteral(text) {
+        if (skipNext && text.length > 0) {
+            text = text.substring(1);
+            skipNext = false;
+        }
+        source += ExportButton_escapeRegExp(text);
+        lastLiteral = text;
+    }
+
+    while ((match = tokenRegex.exec(pattern)) !== null) {
+        addLiteral(pattern.substring(position, match.index));
+        position = match.index + match[0].length;
+
+        var name = match[1].toUpperCase();
+        var format = match[2];
+        var nextChar = pattern.charAt(position);
+
+        if (/^V+$/.test(name) && format === undefined) {
+            groupCount++;
+            versionGroups.push(groupCount);
+            source += name.length > 1 ? "(\\d{" + name.length + ",})" : "(\\d+)";
+        } else if (name === "SEQ" && format === undefined) {
+            groupCount++;
+            source += "(" + ExportButton_escapeRegExp(sequenceName) + ")";
+        } else if (dateFormats.hasOwnProperty(name)) {
+            groupCount++;
+            source += "(" + ExportButton_dateFormatToRegExp(format === undefined ? dateFormats[name] : format) + ")";
+        } else if (optionalTokens.hasOwnProperty(name) && format === undefined) {
+            groupCount++;
+            var lastChar = lastLiteral.charAt(lastLiteral.length - 1);
+            if (lastChar && separators.indexOf(lastChar) !== -1) {
+                // "_{INOUT}" disappears entirely when the token is empty
+                source = source.substring(0, source.length - ExportButton_escapeRegExp(lastChar).length);
+                source += "(?:" + ExportButton_escapeRegExp(lastChar) + "(" + optionalTokens[name] + "))?";
+            } else if (source === "" && nextChar && separators.indexOf(nextChar) !== -1) {
+                // "{INOUT}_" at the start disappears with the following separator
+                source += "(?:(" + optionalTokens[name] + ")" + ExportButton_escapeRegExp(nextChar) + ")?";
+                skipNext = true;
+            } else {
+                source += "(" + optionalTokens[name] + ")?";
+            }
+        } else {
+            // Unknown tokens are kept as-is in filenames
+            addLiteral(match[0]);
+            continue;
+        }
+        lastLiteral = "";
+    }
+    addLiteral(pattern.substring(position));
+
+    return {
+        regex: new RegExp("^" + source + "$", "i"),
+        versionGroups: versionGroups
+    };
+}
+
+/**
+ * Get next version number based on the naming pattern
+ * Only files matching the compiled pattern for this exact sequence are counted
  * @param {string} folderPath - Path to search
- * @param {string} baseName - Base filename
+ * @param {string} baseName - Sequence name as used in filenames
  * @param {string} extension - File extension
- * @param {string} suffixPattern - Pattern like "_V{V}" or "_{DATE}_{V}"
+ * @param {string} suffixPattern - Full filename pattern like "{SEQ}_V{V}" or "{DATE}_{SEQ}_v{VV}"
  */
 function ExportButton_getNextVersionedFilenameWithPattern(folderPath, baseName, extension, suffixPattern) {
     try {
         var folder = new Folder(folderPath);
-        var isWindows = $.os.indexOf("Windows") !== -1;
-        var separator = isWindows ? "\\" : "/";
 
         if (!folder.exists) {
             return JSON.stringify({
@@ -727,34 +1443,29 @@ function ExportButton_getNextVersionedFilenameWithPattern(folderPath, baseName,
             });
         }
 
+        var matcher = ExportButton_compileNamingPattern(suffixPattern || "{SEQ}_V{V}", baseName);
         var files = folder.getFiles();
         var maxVer = 0;
 
-        // Look for files that start with baseName
         for (var i = 0; i < files.length; i++) {
             var f = files[i];
             if (f instanceof File) {
+                // Versions are shared across formats, so any extension counts
                 var name = decodeURI(f.name);
-                var nameLower = name.toLowerCase();
-                var baseLower = baseName.toLowerCase();
+                var dotIdx = name.lastIndexOf(".");
+                if (dotIdx > 0) {
+                    name = name.substring(0, dotIdx);
+                }
 
-                // Check if file starts with baseName
-                if (nameLower.indexOf(baseLower) === 0) {
-                    // Extract the suffix part (after baseName, before extension)
-                    var rest = name.substring(baseName.length);
-                    var dotIdx = rest.lastIndexOf(".");
-                    if (dotIdx > 0) {
-                        rest = rest.substring(0, dotIdx);
-                    }
+                var vMatch = matcher.regex.exec(name);
+                if (!vMatch) {
+                    continue;
+                }
 
-                    // Try to find a version number in the suffix
-                    // Look for patterns like _V1, _V2, _V10, etc.
-                    var vMatch = rest.match(/_V(\d+)/i);
-                    if (vMatch && vMatch[1]) {
-                        var num = parseInt(vMatch[1]);
-                        if (!isNaN(num) && num > maxVer) {
-                            maxVer = num;
-                        }
+                for (var g = 0; g < matcher.versionGroups.length; g++) {
+                    var num = parseInt(vMatch[matcher.versionGroups[g]], 10);
+                    if (!isNaN(num) && num > maxVer) {
+                        maxVer = num;
                     }
                 }
             }
@@ -825,6 +1536,113 @@ function ExportButton_getProjectExportsPathCustom(customFolderName) {
     }
 }
 
+/**
+ * Get the folder that relative export folder templates start from
+ * @param {number} depth - How many folders to go up (0 = beside project, 1 = one up, etc.)
+ * @returns {string} JSON string with the base path
+ */
+function ExportButton_getProjectBasePath(depth) {
+    try {
+        if (isNaN(depth) || depth < 0) {
+            depth = 0;
+        }
+
+        if (!app.project || !app.project.path) {
+            return JSON.stringify({
+                success: false,
+                path: "",
+                error: "No project path available"
+            });
+        }
+
+        // Start from project file's parent folder
+        var currentFolder = new File(app.project.path).parent;
+
+        // Go up by 'depth' folders
+        for (var i = 0; i < depth; i++) {
+            if (currentFolder.parent) {
+                currentFolder = currentFolder.parent;
+            }
+        }
+
+        return JSON.stringify({
+            success: true,
+            path: currentFolder.fsName
+        });
+    } catch (e) {
+        return JSON.stringify({
+            success: false,
+            path: "",
+            error: e.toString()
+        });
+    }
+}
+
+/**
+ * Walk up from the project file to the first folder containing one of the marker names
+ * A marker can be a folder (e.g. EXPORTS) or a file (e.g. .exportroot).
+ * @param {string} markerNames - Comma separated folder or file names to look for
+ * @param {number} maxLevels - How many folders above the project folder may be searched
+ * @returns {string} JSON string with found flag, the folder containing the marker and the marker name
+ */
+function ExportButton_findExportRoot(markerNames, maxLevels) {
+    try {
+        if (isNaN(maxLevels) || maxLevels < 0) {
+            maxLevels = 0;
+        }
+
+        if (!app.project || !app.project.path) {
+            return JSON.stringify({
+                success: false,
+                found: false,
+                path: "",
+                error: "No project path available"
+            });
+        }
+
+        var isWindows = $.os.indexOf("Windows") !== -1;
+        var separator = isWindows ? "\\" : "/";
+        var names = [];
+        var parts = String(markerNames || "").split(",");
+        for (var n = 0; n < parts.length; n++) {
+            var name = parts[n].replace(/^\s+|\s+$/g, "");
+            if (name !== "") {
+                names.push(name);
+            }
+        }
+
+        var currentFolder = new File(app.project.path).parent;
+        for (var level = 0; level <= maxLevels && currentFolder; level++) {
+            for (var i = 0; i < names.length; i++) {
+                var markerPath = currentFolder.fsName + separator + names[i];
+                if (new Folder(markerPath).exists || new File(markerPath).exists) {
+                    return JSON.stringify({
+                        success: true,
+                        found: true,
+                        path: currentFolder.fsName,
+                        marker: names[i],
+                        level: level
+                    });
+                }
+            }
+            currentFolder = currentFolder.parent;
+        }
+
+        return JSON.stringify({
+            success: true,
+            found: false,
+            path: ""
+        });
+    } catch (e) {
+        return JSON.stringify({
+            success: false,
+            found: false,
+            path: "",
+            error: e.toString()
+        });
+    }
+}
+
 /**
  * Get exports path with custom folder name and depth
  * @param {string} customFolderName - Name of the export folder
@@ -888,8 +1706,10 @@ function ExportButton_getProjectExportsPathWithDepth(customFolderName, depth) {
  * @param {string} outputPath - Output file path
  * @param {string} presetPath - Preset file path
  * @param {boolean} useInOut - If true, export only In/Out range
+ * @param {boolean} panelPresetExists - Whether the CEP panel already verified the preset
+ * @param {boolean} startQueue - Start the AME queue after queueing (false = queue only)
  */
-function ExportButton_exportToAMEWithOptions(outputPath, presetPath, useInOut, panelPresetExists) {
+function ExportButton_exportToAMEWithOptions(outputPath, presetPath, useInOut, panelPresetExists, startQueue) {
     try {
         if (!app.encoder) {
             return JSON.stringify({
@@ -931,12 +1751,15 @@ function ExportButton_exportToAMEWithOptions(outputPath, presetPath, useInOut, p
         );
 
         if (jobID) {
-            app.encoder.startBatch();
+            if (startQueue !== false) {
+                app.encoder.startBatch();
+            }
             return JSON.stringify({
                 success: true,
                 jobID: jobID,
-                presetWarning: presetAccess.warning || "",
-                message: "Export started"
+                presetWarning: presetAccess.warning || "",
+                started: startQueue !== false,
+                message: startQueue !== false ? "Export started" : "Export queued"
             });
         } else {
             return JSON.stringify({
@@ -962,9 +1785,11 @@ function ExportButton_exportToAMEWithOptions(outputPath, presetPath, useInOut, p
  * @param {string} outputPath - Output file path
  * @param {string} presetPath - Preset file path
  * @param {boolean} useInOut - If true, export only In/Out range
+ * @param {boolean} panelPresetExists - Whether the CEP panel already verified the preset
+ * @param {string} rangeJson - Optional JSON {inPoint, outPoint} in seconds exported instead of the current In/Out marks
  * @returns {string} JSON string with result
  */
-function ExportButton_exportDirectInPremiere(outputPath, presetPath, useInOut, panelPresetExists) {
+function ExportButton_exportDirectInPremiere(outputPath, presetPath, useInOut, panelPresetExists, rangeJson) {
     try {
         var seq = app.project.activeSequence;
         if (!seq) {
@@ -1002,7 +1827,8 @@ function ExportButton_exportDirectInPremiere(outputPath, presetPath, useInOut, p
         }
 
         // workAreaType: 0 = entire sequence, 1 = in/out points
-        var workAreaType = useInOut ? 1 : 0;
+        var range = ExportButton_parseRange(rangeJson);
+        var workAreaType = useInOut || range ? 1 : 0;
 
         // Check if exportAsMediaDirect exists
         if (typeof seq.exportAsMediaDirect !== 'function') {
@@ -1014,7 +1840,20 @@ function ExportButton_exportDirectInPremiere(outputPath, presetPath, useInOut, p
 
         // exportAsMediaDirect renders directly in Premiere without sending to AME
         // Note: Return value is unreliable on Mac - may return false even on success
-        var result = seq.exportAsMediaDirect(outputPath, presetPath, workAreaType);
+        // A recorded range replaces the In/Out marks for the render only
+        var previousRange = null;
+        if (range) {
+            previousRange = ExportButton_readSequenceRange(seq);
+            ExportButton_writeSequenceRange(seq, range);
+        }
+        var result;
+        try {
+            result = seq.exportAsMediaDirect(outputPath, presetPath, workAreaType);
+        } finally {
+            if (previousRange) {
+                ExportButton_writeSequenceRange(seq, previousRange);
+            }
+        }
 
         // Check if file was created (more reliable than return value on Mac)
         $.sleep(500); // Brief wait for file system
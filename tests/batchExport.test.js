@@ -0,0 +1,212 @@
+/**
+ * Batch planning of client/main.js (runBatchExport) against a fake host.jsx
+ * Run with: node --test tests/
+ */
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var vm = require('vm');
+var loadPanel = require('./helpers/loadPanel');
+
+function fixture(name) {
+    return path.join(__dirname, 'fixtures', 'presets', name);
+}
+
+/**
+ * Load the panel with its host calls answered by a fake project in a temporary folder
+ * @param {object} project - {sequences: [{name, nodeId, hasVideo, overrides}], roots: {markerNames: path}, versions: {folder: version}}
+ * @returns {object} {panel, root, calls, queued}
+ */
+function createBatchPanel(project) {
+    var panel = loadPanel();
+    var root = fs.mkdtempSync(path.join(os.tmpdir(), 'exportbutton-batch-'));
+    var calls = [];
+    var queued = [];
+
+    function answer(value) {
+        return JSON.stringify(value);
+    }
+
+    function findSequence(lookup) {
+        return project.sequences.filter(function (seq) {
+            return seq.nodeId === lookup.nodeId;
+        })[0];
+    }
+
+    var host = {
+        ExportButton_inspectSequences: function (json) {
+            return answer({
+                success: true,
+                items: JSON.parse(json).map(function (lookup) {
+                    var seq = findSequence(lookup);
+                    if (!seq) {
+                        return { name: lookup.name, success: false, error: 'Sequence not found: ' + lookup.name };
+                    }
+                    return {
+                        name: seq.name,
+                        success: true,
+                        hasVideo: seq.hasVideo !== false,
+                        info: { success: true, name: seq.name, id: 'id-' + seq.nodeId, nodeId: seq.nodeId, projectPath: path.join(root, 'Film.prproj'), overrides: seq.overrides || null }
+                    };
+                })
+            });
+        },
+        ExportButton_getProjectBasePath: function () {
+            return answer({ success: true, path: root });
+        },
+        ExportButton_findExportRoot: function (markerNames, markerLevels) {
+            var found = (project.roots || {})[markerNames];
+            return answer({ success: true, found: !!found, path: found ? path.join(root, found) : '', marker: markerNames, levels: markerLevels });
+        },
+        ExportButton_getNextVersionedFilenameWithPattern: function (folderPath) {
+            return answer({ success: true, version: (project.versions || {})[path.relative(root, folderPath)] || 1 });
+        },
+        ExportButton_queueBatch: function (json) {
+            var batch = JSON.parse(json);
+            queued.push(batch);
+            return answer({
+                success: true,
+                started: batch.startBatch,
+                results: batch.jobs.map(function (job, index) {
+                    return { id: job.id, success: true, jobID: 'job-' + index };
+                })
+            });
+        },
+        ExportButton_getSequenceInfo: function () {
+            return answer({ success: false, error: 'Not needed by the history in tests' });
+        }
+    };
+
+    panel.csInterface.evalScript = function (script, callback) {
+        calls.push(script.split('(')[0]);
+        var result = vm.runInNewContext(script, host);
+        if (callback) callback(result);
+    };
+    panel.Persistence.dataDir = root;
+    panel.Persistence.filePath = path.join(root, 'settings.json');
+    panel.Persistence.settings = {};
+    panel.ExportHistory.record = function () { };
+    panel.trackExportJob = function () { };
+
+    return { panel: panel, root: root, calls: calls, queued: queued };
+}
+
+function createTestProfile(panel, name, fields) {
+    var profile = panel.createProfile(name);
+    profile.videoPreset = fixture('h264-client-review.epr');
+    profile.audioPreset = fixture('wav-48k.epr');
+    Object.keys(fields || {}).forEach(function (field) {
+        profile[field] = fields[field];
+    });
+    return profile;
+}
+
+function runBatch(setup, sequences, profile, callback) {
+    setup.panel.runBatchExport(sequences, { profile: profile, downloadEnabled: false }, function (batchInfo) {
+        try {
+            callback(batchInfo);
+        } finally {
+            fs.rmSync(setup.root, { recursive: true, force: true });
+        }
+    });
+}
+
+function relativeOutputs(setup) {
+    return setup.queued[0].jobs.map(function (job) {
+        return job.nodeId + ' ' + path.relative(setup.root, job.outputPath).split(path.sep).join('/');
+    });
+}
+
+test('same-name sequences are planned in the panel and queued in one host call', function (t, done) {
+    var setup = createBatchPanel({
+        sequences: [{ name: 'Edit', nodeId: 'node-a' }, { name: 'Edit', nodeId: 'node-b' }, { name: 'Mix', nodeId: 'node-m', hasVideo: false }],
+        versions: { EXPORTS: 3 }
+    });
+    var profile = createTestProfile(setup.panel, 'Default');
+
+    runBatch(setup, [{ name: 'Edit', nodeId: 'node-b' }, { name: 'Edit', nodeId: 'node-a' }, { name: 'Mix', nodeId: 'node-m' }], profile, function (batchInfo) {
+        assert.strictEqual(setup.queued.length, 1);
+        assert.deepStrictEqual(relativeOutputs(setup), [
+            'node-b EXPORTS/Edit_V3.mp4',
+            'node-a EXPORTS/Edit_V3_2.mp4',
+            'node-m EXPORTS/Mix_V3.wav'
+        ]);
+        assert.strictEqual(setup.queued[0].startBatch, true);
+        assert.strictEqual(batchInfo.started, true);
+        assert.strictEqual(batchInfo.items[1].plans[0].jobID, 'job-1');
+        assert.strictEqual(setup.panel.plannedOutputPaths.length, 0);
+        done();
+    });
+});
+
+test('a deliverable set shares one version across its subfolders', function (t, done) {
+    var setup = createBatchPanel({
+        sequences: [{ name: 'Edit', nodeId: 'node-a' }],
+        versions: { 'EXPORTS/ProRes': 5 }
+    });
+    var profile = createTestProfile(setup.panel, 'Default', {
+        suffixPattern: '{SEQ}_{PRESET}_V{VV}',
+        useDeliverables: true,
+        deliverables: [
+            { presetPath: fixture('h264-client-review.epr'), subfolder: 'Web' },
+            { presetPath: fixture('prores-master.epr'), subfolder: 'ProRes' }
+        ]
+    });
+
+    runBatch(setup, [{ name: 'Edit', nodeId: 'node-a' }], profile, function (batchInfo) {
+        var names = setup.queued[0].jobs.map(function (job) {
+            return path.basename(path.dirname(job.outputPath)) + '/' + path.basename(job.outputPath).replace(/_V(\d+)\..*$/, '_V$1');
+        });
+
+        assert.strictEqual(batchInfo.items[0].version, 5);
+        assert.strictEqual(names.length, 2);
+        assert.match(names[0], /^Web\/Edit_.+_V05$/);
+        assert.match(names[1], /^ProRes\/Edit_.+_V05$/);
+        done();
+    });
+});
+
+test('profiles with other markers look up their own export root, once per batch', function (t, done) {
+    var setup = createBatchPanel({
+        sequences: [
+            { name: 'Edit', nodeId: 'node-a' },
+            { name: 'Promo', nodeId: 'node-p', overrides: { profileName: 'Client' } },
+            { name: 'Teaser', nodeId: 'node-t' }
+        ],
+        roots: { 'EXPORTS': 'Studio', '.clientroot': 'Client' }
+    });
+    var profile = createTestProfile(setup.panel, 'Default', { folderMode: 'marker', markerNames: 'EXPORTS', exportFolder: 'Renders' });
+    var client = createTestProfile(setup.panel, 'Client', { folderMode: 'marker', markerNames: '.clientroot', exportFolder: 'Renders' });
+    setup.panel.Persistence.settings[setup.panel.STORAGE_KEYS.PROFILES] = [profile, client];
+
+    runBatch(setup, [{ name: 'Edit', nodeId: 'node-a' }, { name: 'Promo', nodeId: 'node-p' }, { name: 'Teaser', nodeId: 'node-t' }], profile, function () {
+        assert.deepStrictEqual(relativeOutputs(setup), [
+            'node-a Studio/Renders/Edit_V1.mp4',
+            'node-p Client/Renders/Promo_V1.mp4',
+            'node-t Studio/Renders/Teaser_V1.mp4'
+        ]);
+        assert.strictEqual(setup.calls.filter(function (call) {
+            return call === 'ExportButton_findExportRoot';
+        }).length, 2);
+        done();
+    });
+});
+
+test('a sequence with a missing preset is reported while the others are queued', function (t, done) {
+    var setup = createBatchPanel({
+        sequences: [
+            { name: 'Edit', nodeId: 'node-a', overrides: { videoPreset: fixture('missing.epr') } },
+            { name: 'Promo', nodeId: 'node-p' }
+        ]
+    });
+    var profile = createTestProfile(setup.panel, 'Default');
+
+    runBatch(setup, [{ name: 'Gone', nodeId: 'node-x' }, { name: 'Edit', nodeId: 'node-a' }, { name: 'Promo', nodeId: 'node-p' }], profile, function (batchInfo) {
+        assert.strictEqual(batchInfo.items[0].error, 'Sequence not found: Gone');
+        assert.strictEqual(batchInfo.items[1].plans[0].error, 'Preset file not found: ' + fixture('missing.epr'));
+        assert.deepStrictEqual(relativeOutputs(setup), ['node-p EXPORTS/Promo_V1.mp4']);
+        done();
+    });
+});
@@ -0,0 +1,119 @@
+/**
+ * EprParser against the preset fixtures in fixtures/presets
+ * Run with: node --test tests/
+ */
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('fs');
+var path = require('path');
+var loadPanel = require('./helpers/loadPanel');
+
+var panel = loadPanel();
+var EprParser = panel.EprParser;
+
+function fixture(name) {
+    return path.join(__dirname, 'fixtures', 'presets', name);
+}
+
+function parseFixture(name) {
+    return EprParser.parse(fs.readFileSync(fixture(name), 'utf8'));
+}
+
+test('H.264 preset is an .mp4 with video', function () {
+    var info = parseFixture('h264-client-review.epr');
+    assert.strictEqual(info.exporterClass, 'H264');
+    assert.strictEqual(info.fileType, 'H264');
+    assert.strictEqual(info.exporterName, 'H.264');
+    assert.strictEqual(info.presetName, 'Client & Co Review 1080p');
+    assert.strictEqual(info.videoCodec, 'avc1');
+    assert.strictEqual(info.extension, '.mp4');
+    assert.strictEqual(info.audioOnly, false);
+    assert.strictEqual(info.width, 1920);
+    assert.strictEqual(info.height, 1080);
+    assert.strictEqual(info.videoBitrate, 16);
+});
+
+test('ProRes preset is a QuickTime .mov, whatever its file name', function () {
+    var info = parseFixture('prores-master.epr');
+    assert.strictEqual(info.exporterClass, 'MooV');
+    assert.strictEqual(info.videoCodec, 'apcn');
+    assert.strictEqual(info.extension, '.mov');
+    assert.strictEqual(info.audioOnly, false);
+});
+
+test('MXF preset falls back to the exporter class when the file type is unknown', function () {
+    var info = parseFixture('mxf-broadcast.epr');
+    assert.strictEqual(info.fileType, 'XDCA');
+    assert.strictEqual(info.exporterClass, 'MXFX');
+    assert.strictEqual(info.extension, '.mxf');
+    assert.strictEqual(info.audioOnly, false);
+});
+
+test('WAV preset is audio-only', function () {
+    var info = parseFixture('wav-48k.epr');
+    assert.strictEqual(info.extension, '.wav');
+    assert.strictEqual(info.audioOnly, true);
+    assert.strictEqual(info.audioSampleRate, 48000);
+});
+
+test('H.264 preset with video switched off is audio-only', function () {
+    var info = parseFixture('h264-audio-only.epr');
+    assert.strictEqual(info.extension, '.mp4');
+    assert.strictEqual(info.audioOnly, true);
+});
+
+test('Preset without four-character codes is matched by exporter name', function () {
+    var info = parseFixture('name-only-quicktime.epr');
+    assert.strictEqual(info.exporterClass, '');
+    assert.strictEqual(info.extension, '.mov');
+});
+
+test('XML that is not an exporter preset is not parsed', function () {
+    assert.strictEqual(parseFixture('not-an-exporter.epr'), null);
+    assert.strictEqual(EprParser.parse(''), null);
+});
+
+test('resolveExtension checks file type, then exporter class, then exporter name', function () {
+    assert.strictEqual(EprParser.resolveExtension({ fileType: 'WAVE', exporterClass: 'H264', exporterName: '' }), '.wav');
+    assert.strictEqual(EprParser.resolveExtension({ fileType: 'ZZZZ', exporterClass: 'MooV', exporterName: '' }), '.mov');
+    assert.strictEqual(EprParser.resolveExtension({ fileType: '', exporterClass: '', exporterName: 'HEVC (H.265)' }), '.mp4');
+    assert.strictEqual(EprParser.resolveExtension({ fileType: '', exporterClass: '', exporterName: 'Wraptor DCP' }), null);
+});
+
+test('decodeFourCC turns decimal codes back into text', function () {
+    assert.strictEqual(EprParser.decodeFourCC('1211250228'), 'H264');
+    assert.strictEqual(EprParser.decodeFourCC('3'), '3');
+    assert.strictEqual(EprParser.decodeFourCC('MooV'), 'MooV');
+});
+
+test('read caches the parse result and getExtensionFromPreset uses it before the file name', function () {
+    var presetPath = fixture('prores-master.epr');
+    assert.strictEqual(EprParser.read(presetPath), EprParser.read(presetPath));
+    assert.strictEqual(panel.getExtensionFromPreset(presetPath, true), '.mov');
+});
+
+test('checkPreset only blocks missing presets and media mismatches, unreadable formats are a warning', function () {
+    assert.strictEqual(panel.checkPreset(fixture('missing.epr'), 'video'), 'Preset file not found: ' + fixture('missing.epr'));
+    assert.strictEqual(panel.checkPreset(fixture('h264-audio-only.epr'), 'video'), 'Video + Audio preset is audio-only: ' + fixture('h264-audio-only.epr'));
+    assert.strictEqual(panel.checkPreset(fixture('wav-48k.epr'), 'audio'), '');
+
+    assert.strictEqual(panel.checkPreset(fixture('not-an-exporter.epr'), 'video'), '');
+    assert.strictEqual(panel.getPresetWarning(fixture('prores-master.epr')), '');
+    assert.strictEqual(panel.getPresetWarning(fixture('missing.epr')), '');
+});
+
+test('the health check shows an unreadable preset as a warning after the blocking problems', function () {
+    var problems = panel.checkProfilePresets({
+        videoPreset: fixture('not-an-exporter.epr'),
+        audioPreset: fixture('h264-client-review.epr')
+    });
+
+    assert.strictEqual(problems.map(function (problem) { return problem.field + ' ' + problem.level; }).join(', '), 'audio-preset error, video-preset warning');
+    assert.match(problems[1].message, /Could not read the format of not-an-exporter\.epr/);
+
+    panel.showPresetProblems(problems.slice(1));
+    var healthEl = panel.document.getElementById('preset-health');
+    assert.strictEqual(healthEl.style.display, 'block');
+    assert.match(panel.document.getElementById('preset-health-text').textContent, /Could not read the format of not-an-exporter\.epr/);
+    assert.strictEqual(panel.presetHealthProblems[0].field, 'video-preset');
+});
@@ -0,0 +1,43 @@
+/**
+ * Load host/host.jsx outside of Premiere so its pure helpers can be tested with Node.
+ * The file only declares functions and constants, so no ExtendScript object is touched
+ * until a function runs. Folder and File read from an in-memory listing.
+ */
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+/**
+ * @param {object} [folders] - Folder path -> array of file names used by Folder.getFiles()
+ * @returns {object} VM context holding the globals of host.jsx
+ */
+module.exports = function loadHost(folders) {
+    folders = folders || {};
+
+    function File(filePath) {
+        this.fsName = filePath;
+        this.name = encodeURI(filePath.split('/').pop());
+    }
+
+    function Folder(folderPath) {
+        this.fsName = folderPath;
+        this.exists = folders.hasOwnProperty(folderPath);
+    }
+
+    Folder.prototype.getFiles = function () {
+        var folderPath = this.fsName;
+        return (folders[folderPath] || []).map(function (name) {
+            return new File(folderPath + '/' + name);
+        });
+    };
+
+    var context = {
+        File: File,
+        Folder: Folder,
+        $: { os: 'Windows', getenv: function () { return ''; } }
+    };
+
+    vm.createContext(context);
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', '..', 'host', 'host.jsx'), 'utf8'), context, { filename: 'host.jsx' });
+    return context;
+};
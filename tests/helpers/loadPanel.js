@@ -0,0 +1,62 @@
+/**
+ * Load client/main.js outside of Premiere so its pure helpers can be tested with Node.
+ * CEP and DOM objects are replaced by inert stand-ins; nothing is initialised.
+ */
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+function createElement() {
+    return {
+        value: '',
+        checked: false,
+        style: {},
+        dataset: {},
+        classList: { add: function () { }, remove: function () { }, toggle: function () { }, contains: function () { return false; } },
+        addEventListener: function () { },
+        appendChild: function () { },
+        setAttribute: function () { },
+        hasAttribute: function () { return false; },
+        closest: function () { return null; },
+        querySelectorAll: function () { return []; }
+    };
+}
+
+/**
+ * @returns {object} VM context holding the globals of main.js
+ */
+module.exports = function loadPanel() {
+    var elements = {};
+    var context = {
+        require: require,
+        console: console,
+        process: process,
+        Buffer: Buffer,
+        setTimeout: setTimeout,
+        clearTimeout: clearTimeout,
+        CSInterface: function () {
+            this.evalScript = function (script, callback) {
+                if (callback) callback('{}');
+            };
+            this.addEventListener = function () { };
+            this.getSystemPath = function () { return ''; };
+        },
+        SystemPath: {},
+        localStorage: { getItem: function () { return null; } },
+        window: { cep: {}, addEventListener: function () { } },
+        document: {
+            addEventListener: function () { },
+            getElementById: function (id) {
+                return elements[id] || (elements[id] = createElement());
+            },
+            querySelectorAll: function () { return []; },
+            createElement: createElement,
+            documentElement: createElement(),
+            body: createElement()
+        }
+    };
+
+    vm.createContext(context);
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', '..', 'client', 'main.js'), 'utf8'), context, { filename: 'main.js' });
+    return context;
+};
@@ -0,0 +1,114 @@
+/**
+ * Naming pattern matcher from host/host.jsx against tricky existing filenames
+ * Run with: node --test tests/
+ */
+var test = require('node:test');
+var assert = require('node:assert');
+var loadHost = require('./helpers/loadHost');
+
+var host = loadHost({
+    '/exports': [
+        'MyEdit_V2.mp4',
+        'MyEdit_V3.mov',
+        'MyEdit Alt_V7.mp4',
+        'MyEdit_V9_backup.mp4',
+        'Old MyEdit_V8.mp4',
+        'notes.txt'
+    ],
+    '/dated': [
+        '2025-10-17_MyEdit_v04.mp4',
+        '2025-10-18_MyEdit_v11.mp4',
+        '2025-10-18_MyEdit Alt_v20.mp4',
+        'MyEdit_v30.mp4'
+    ]
+});
+
+function matches(pattern, sequenceName, filename) {
+    return host.ExportButton_compileNamingPattern(pattern, sequenceName).regex.test(filename);
+}
+
+function version(pattern, sequenceName, filename) {
+    var matcher = host.ExportButton_compileNamingPattern(pattern, sequenceName);
+    var result = matcher.regex.exec(filename);
+    return result ? parseInt(result[matcher.versionGroups[0]], 10) : null;
+}
+
+function nextVersion(folder, sequenceName, pattern) {
+    return JSON.parse(host.ExportButton_getNextVersionedFilenameWithPattern(folder, sequenceName, '.mp4', pattern)).version;
+}
+
+test('{SEQ} only matches the exact sequence name', function () {
+    assert.strictEqual(version('{SEQ}_V{V}', 'MyEdit', 'MyEdit_V7'), 7);
+    assert.strictEqual(matches('{SEQ}_V{V}', 'MyEdit', 'MyEdit Alt_V7'), false);
+    assert.strictEqual(matches('{SEQ}_V{V}', 'MyEdit', 'Old MyEdit_V7'), false);
+    assert.strictEqual(matches('{SEQ}_V{V}', 'MyEdit', 'MyEdit_V7_backup'), false);
+    assert.strictEqual(version('{SEQ}_V{V}', 'MyEdit Alt', 'MyEdit Alt_V7'), 7);
+});
+
+test('sequence names with RegExp characters are matched literally', function () {
+    assert.strictEqual(version('{SEQ}_V{V}', 'Edit (v2) [final]+', 'Edit (v2) [final]+_V3'), 3);
+    assert.strictEqual(matches('{SEQ}_V{V}', 'Edit.1', 'Edit11_V3'), false);
+    assert.strictEqual(matches('{SEQ}_V{V}', 'A|B', 'A_V3'), false);
+});
+
+test('{DATE}_{SEQ}_v{VV} reads the version after a dated prefix', function () {
+    assert.strictEqual(version('{DATE}_{SEQ}_v{VV}', 'MyEdit', '2025-10-18_MyEdit_v04'), 4);
+    assert.strictEqual(version('{DATE}_{SEQ}_v{VV}', 'MyEdit', '2025-10-18_MyEdit_v123'), 123);
+    assert.strictEqual(matches('{DATE}_{SEQ}_v{VV}', 'MyEdit', '2025-10-18_MyEdit_v4'), false);
+    assert.strictEqual(matches('{DATE}_{SEQ}_v{VV}', 'MyEdit', 'MyEdit_v04'), false);
+    assert.strictEqual(matches('{DATE}_{SEQ}_v{VV}', 'MyEdit', '20251018_MyEdit_v04'), false);
+});
+
+test('{SEQ}-rev{V} uses the literal text around the version', function () {
+    assert.strictEqual(version('{SEQ}-rev{V}', 'MyEdit', 'MyEdit-rev12'), 12);
+    assert.strictEqual(version('{SEQ}-rev{V}', 'MyEdit', 'MYEDIT-REV3'), 3);
+    assert.strictEqual(matches('{SEQ}-rev{V}', 'MyEdit', 'MyEdit_V12'), false);
+    assert.strictEqual(matches('{SEQ}-rev{V}', 'MyEdit', 'MyEdit-rev'), false);
+});
+
+test('optional {INOUT} disappears together with its separator', function () {
+    var pattern = '{SEQ}_{INOUT}_V{V}';
+    assert.deepStrictEqual(Array.from(host.ExportButton_compileNamingPattern(pattern, 'MyEdit').versionGroups), [3]);
+    assert.strictEqual(version(pattern, 'MyEdit', 'MyEdit_V3'), 3);
+    assert.strictEqual(version(pattern, 'MyEdit', 'MyEdit_000110-000245_V4'), 4);
+    assert.strictEqual(matches(pattern, 'MyEdit', 'MyEdit__V4'), false);
+    assert.strictEqual(matches(pattern, 'MyEdit', 'MyEdit_0110-0245_V4'), false);
+});
+
+test('optional {BIN} at the start disappears with the following separator', function () {
+    var pattern = '{BIN}_{SEQ}_V{V}';
+    assert.strictEqual(version(pattern, 'MyEdit', 'MyEdit_V2'), 2);
+    assert.strictEqual(version(pattern, 'MyEdit', 'Selects_MyEdit_V5'), 5);
+    assert.strictEqual(version(pattern, 'MyEdit', 'Client Cuts_MyEdit_V6'), 6);
+    assert.strictEqual(matches(pattern, 'MyEdit', '_MyEdit_V5'), false);
+    assert.strictEqual(matches(pattern, 'MyEdit', 'Selects_MyEdit Alt_V5'), false);
+});
+
+test('custom {DATE:...} and {TIME:...} formats', function () {
+    assert.strictEqual(version('{DATE:YYMMDD}_{SEQ}_V{V}', 'MyEdit', '251018_MyEdit_V2'), 2);
+    assert.strictEqual(matches('{DATE:YYMMDD}_{SEQ}_V{V}', 'MyEdit', '2025-10-18_MyEdit_V2'), false);
+    assert.strictEqual(version('{SEQ}_{DATE:DD.MM.YYYY}_{TIME:HHmm}_V{V}', 'MyEdit', 'MyEdit_18.10.2025_0930_V5'), 5);
+    assert.strictEqual(matches('{SEQ}_{DATE:DD.MM.YYYY}_{TIME:HHmm}_V{V}', 'MyEdit', 'MyEdit_18-10-2025_0930_V5'), false);
+    assert.strictEqual(version('{SEQ}_{TIME}_V{V}', 'MyEdit', 'MyEdit_09-30_V1'), 1);
+    assert.strictEqual(version('{YEAR}W{WEEK}_{SEQ}_V{V}', 'MyEdit', '2025W42_MyEdit_V8'), 8);
+});
+
+test('date formats become digit patterns with literal separators', function () {
+    assert.strictEqual(host.ExportButton_dateFormatToRegExp('YYMMDD'), '\\d{2}\\d{2}\\d{2}');
+    assert.strictEqual(host.ExportButton_dateFormatToRegExp('YYYY-MM-DD'), '\\d{4}\\-\\d{2}\\-\\d{2}');
+    assert.strictEqual(host.ExportButton_dateFormatToRegExp('HH.mm.ss'), '\\d{2}\\.\\d{2}\\.\\d{2}');
+    assert.strictEqual(host.ExportButton_dateFormatToRegExp('[WW]'), '\\[\\d{2}\\]');
+});
+
+test('unknown tokens are matched as literal text', function () {
+    assert.strictEqual(version('{SEQ}_{CLIENT}_V{V}', 'MyEdit', 'MyEdit_{CLIENT}_V3'), 3);
+    assert.strictEqual(matches('{SEQ}_{CLIENT}_V{V}', 'MyEdit', 'MyEdit_Acme_V3'), false);
+});
+
+test('next version counts only files of this sequence and pattern', function () {
+    assert.strictEqual(nextVersion('/exports', 'MyEdit', '{SEQ}_V{V}'), 4);
+    assert.strictEqual(nextVersion('/exports', 'MyEdit Alt', '{SEQ}_V{V}'), 8);
+    assert.strictEqual(nextVersion('/dated', 'MyEdit', '{DATE}_{SEQ}_v{VV}'), 12);
+    assert.strictEqual(nextVersion('/dated', 'MyEdit', '{SEQ}-rev{V}'), 1);
+    assert.strictEqual(nextVersion('/missing', 'MyEdit', '{SEQ}_V{V}'), 1);
+});